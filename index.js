@@ -22,6 +22,14 @@ const adminRoutes = require('./routes/admin');
 const helpsRoutes = require('./routes/helps');
 const paymentRoutes = require('./routes/payments');
 const reviewRoutes = require('./routes/reviews');
+const guestRoutes = require('./routes/guest');
+const wishlistRoutes = require('./routes/wishlist');
+const alertRoutes = require('./routes/alerts');
+const subscriptionRoutes = require('./routes/subscriptions');
+const giftCardRoutes = require('./routes/giftCards');
+const shipmentRoutes = require('./routes/shipments');
+const categoryRoutes = require('./routes/categories');
+const brandRoutes = require('./routes/brands');
 
 const app = express();
 
@@ -128,13 +136,18 @@ app.use(xss());
 
 // Prevent HTTP Parameter Pollution
 app.use(hpp({
-  whitelist: ['tags', 'categories'] // Allow duplicates for these fields
+  whitelist: ['tags', 'categories', 'brand'] // Allow duplicates for these fields
 }));
 
 // Body parsing with size limits
 app.use(express.json({ 
   limit: '10mb',
   verify: (req, res, buf) => {
+    // Keep the raw bytes for signature checks (Stripe webhooks)
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+
     // Log large payloads for monitoring
     if (buf.length > 1024 * 1024) { // 1MB
       securityLogger.info('Large payload received', {
@@ -177,7 +190,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Guest-Token']
 }));
 
 // ===========================================
@@ -291,6 +304,24 @@ const authenticationLogger = (req, res, next) => {
 
 app.use(authenticationLogger);
 
+// ===========================================
+// MEDIA
+// ===========================================
+
+// Uploaded images, when the storage adapter keeps them on this server.
+// Stored files never change (new uploads get new names), so they can be
+// cached for good; the client app shows them from another origin.
+const mediaStorage = require('./services/storage');
+if (mediaStorage.publicRoot) {
+  app.use('/media', express.static(mediaStorage.publicRoot, {
+    immutable: true,
+    maxAge: '365d',
+    index: false,
+    dotfiles: 'deny',
+    setHeaders: (res) => res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // ===========================================
 // API ROUTES
 // ===========================================
@@ -305,6 +336,27 @@ app.use('/api/helps', helpsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/guest', guestRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/shipments', shipmentRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/brands', brandRoutes);
+
+// ===========================================
+// SCHEDULED JOBS
+// ===========================================
+
+require('./services/checkoutService'); // Releases expired checkout stock holds
+require('./services/cartRecoveryService'); // Abandoned cart emails
+require('./services/productAlertService'); // Back-in-stock and price-drop alerts
+require('./services/inventoryService'); // Daily low stock digest
+require('./services/subscriptionService'); // Subscription reminders and renewals
+require('./services/giftCardService'); // Gift card expiry
+require('./services/loyaltyService'); // Loyalty tier refresh
+require('./services/shipmentService'); // Shipment tracking polls
 
 // ===========================================
 // SECURITY DASHBOARD ENDPOINT (for academic demo)
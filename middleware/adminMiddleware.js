@@ -0,0 +1,16 @@
+const User = require('../models/User');
+
+// Must run after authMiddleware; the JWT only carries { id, email }
+const adminMiddleware = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.id).select('role');
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Admins only.' });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = adminMiddleware;
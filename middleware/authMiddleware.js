@@ -6,6 +6,9 @@ const authMiddleware = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Single-use tokens (password reset etc.) carry a purpose and are no
+    // good for signing in
+    if (decoded.purpose) return res.status(400).json({ message: 'Invalid token.' });
     req.user = decoded; // { id, email }
     next();
   } catch (err) {
@@ -0,0 +1,18 @@
+const GuestCart = require('../models/GuestCart');
+
+// Loads the guest cart named by the X-Guest-Token header into req.guestCart
+// (null when there is no token or it has expired). Never rejects the request.
+const guestCartMiddleware = async (req, res, next) => {
+  const token = req.header('X-Guest-Token');
+  req.guestCart = null;
+
+  try {
+    if (token) req.guestCart = await GuestCart.findOne({ token });
+    next();
+  } catch (err) {
+    console.error('Guest cart lookup failed:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = guestCartMiddleware;
@@ -0,0 +1,20 @@
+const jwt = require('jsonwebtoken');
+
+// Like authMiddleware, but lets anonymous requests through. req.user is set
+// only when a valid token was sent; a missing, expired or otherwise bad
+// token is treated as anonymous rather than rejected.
+const optionalAuthMiddleware = (req, res, next) => {
+  const token = req.header('Authorization')?.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Tokens with a purpose are not sign-in tokens (see authMiddleware)
+    if (!decoded.purpose) req.user = decoded; // { id, email }
+  } catch (err) {
+    // Carry on signed out
+  }
+  next();
+};
+
+module.exports = optionalAuthMiddleware;
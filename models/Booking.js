@@ -37,6 +37,18 @@ const bookingSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the client was signed in while booking
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Marked by staff once the appointment has happened (or not)
+  status: {
+    type: String,
+    enum: ['booked', 'completed', 'cancelled', 'no_show'],
+    default: 'booked'
+  },
+  completedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
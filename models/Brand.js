@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const mediaSchema = require('./mediaSchema');
+const slugify = require('../utils/slugify');
+
+// A maker of products. Products keep the brand name next to brandId so
+// listings and search do not need a lookup.
+const brandSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Brand name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Brand name cannot exceed 100 characters']
+  },
+  // Worked out from the name when not given
+  slug: {
+    type: String,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slugs can only contain letters, numbers and dashes']
+  },
+  logo: mediaSchema,
+  // The brand's background, shown on its page
+  story: {
+    type: String,
+    maxlength: [5000, 'Story cannot exceed 5000 characters']
+  },
+  // Where the brand comes from, as an ISO 3166 code (e.g. "FR")
+  country: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter country code']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+brandSchema.pre('validate', function() {
+  if (!this.slug) this.slug = slugify(this.name);
+});
+
+// Find a brand by id, slug or name, ignoring case
+brandSchema.statics.findByRef = async function(ref) {
+  if (!ref) return null;
+  const text = String(ref).trim();
+  if (/^[0-9a-f]{24}$/i.test(text)) return this.findById(text);
+
+  return this.findOne({ $or: [{ slug: slugify(text) }, { name: text }] })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('Brand', brandSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One abandoned-cart email. A cart is identified by when it last changed
+// (cartUpdatedAt), so each stage goes out at most once per idle cart.
+const cartRecoveryEmailSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  email: String,
+  // Index into the configured thresholds (0 = first reminder)
+  stage: {
+    type: Number,
+    required: true
+  },
+  cartUpdatedAt: {
+    type: Date,
+    required: true
+  },
+  // Items and prices as shown in the email, in minor units
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: String,
+    unitPrice: Number,
+    quantity: Number
+  }],
+  cartValue: {
+    type: Number,
+    default: 0
+  },
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'converted'],
+    default: 'sent'
+  },
+  error: String,
+  convertedOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  convertedAt: Date
+}, { timestamps: true });
+
+cartRecoveryEmailSchema.index({ userId: 1, cartUpdatedAt: 1, stage: 1 }, { unique: true });
+cartRecoveryEmailSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CartRecoveryEmail', cartRecoveryEmailSchema);
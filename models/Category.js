@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const mediaSchema = require('./mediaSchema');
+const slugify = require('../utils/slugify');
+
+// Deepest a category can sit, counting the top level as 1
+const MAX_DEPTH = 4;
+
+// A node in the catalog taxonomy, e.g. Hair Care > Shampoo > Anti-dandruff.
+// ancestors holds the path from the top level down to the parent, so a
+// subtree can be found with one query.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters']
+  },
+  // Unique across the whole tree, so a category can be found from its
+  // slug alone. Worked out from the name when not given.
+  slug: {
+    type: String,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slugs can only contain letters, numbers and dashes']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  image: mediaSchema,
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Display order among siblings, lowest first
+  position: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+categorySchema.index({ parent: 1, position: 1 });
+categorySchema.index({ ancestors: 1 });
+
+categorySchema.virtual('depth').get(function() {
+  return this.ancestors.length + 1;
+});
+
+// Fill in the slug and work out the ancestors from the parent. A category
+// cannot be moved under itself or one of its own subcategories.
+categorySchema.pre('validate', async function() {
+  if (!this.slug) this.slug = slugify(this.name);
+
+  if (!this.isNew && !this.isModified('parent')) return;
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return;
+  }
+
+  const parent = await this.constructor.findById(this.parent).select('ancestors');
+  if (!parent) {
+    this.invalidate('parent', 'Parent category not found');
+  } else if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+    this.invalidate('parent', 'A category cannot be moved under itself or one of its subcategories');
+  } else {
+    this.ancestors = [...parent.ancestors, parent._id];
+  }
+});
+
+// Moving a category with subcategories must not push them past MAX_DEPTH
+categorySchema.pre('validate', async function() {
+  if (this.isNew || !this.isModified('parent') || this.ancestors.length === 0) return;
+
+  const [levels] = await this.constructor.aggregate([
+    { $match: { ancestors: this._id } },
+    { $group: { _id: null, below: { $max: { $subtract: [{ $size: '$ancestors' }, { $indexOfArray: ['$ancestors', this._id] }] } } } }
+  ]);
+  if (levels && this.depth + levels.below > MAX_DEPTH) {
+    this.invalidate('parent', `Categories can be at most ${MAX_DEPTH} levels deep`);
+  }
+});
+
+categorySchema.path('ancestors').validate(function(ancestors) {
+  return ancestors.length < MAX_DEPTH;
+}, `Categories can be at most ${MAX_DEPTH} levels deep`);
+
+// Find a category by id, slug or name, so "Hair Care", "hair care" and
+// "hair-care" all lead to the same one. Slugs win over names, which can
+// repeat under different parents.
+categorySchema.statics.findByRef = async function(ref) {
+  if (!ref) return null;
+  const text = String(ref).trim();
+  if (/^[0-9a-f]{24}$/i.test(text)) return this.findById(text);
+
+  return await this.findOne({ slug: slugify(text) })
+    || this.findOne({ name: text }).collation({ locale: 'en', strength: 2 });
+};
+
+// The category that a product's category and subcategory names describe,
+// or null when they are not both in the tree
+categorySchema.statics.findByNames = async function(category, subcategory) {
+  const match = (name, parent) => this.findOne({
+    parent,
+    $or: [{ slug: slugify(name) }, { name: String(name).trim() }]
+  }).collation({ locale: 'en', strength: 2 });
+
+  if (!category) return null;
+  const top = await match(category, null);
+  if (!top || !subcategory) return top;
+  return match(subcategory, top._id);
+};
+
+// The categories from the top level down to this one
+categorySchema.methods.getPath = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } });
+  const byId = new Map(ancestors.map(category => [category._id.toString(), category]));
+  return [...this.ancestors.map(id => byId.get(id.toString())).filter(Boolean), this];
+};
+
+categorySchema.methods.getBreadcrumbs = async function() {
+  const path = await this.getPath();
+  return path.map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+const Category = mongoose.model('Category', categorySchema);
+Category.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = Category;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Codes may only contain letters, numbers, - and _']
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free_shipping'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percentage off (1-100) or a fixed amount in minor units (cents)
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.type !== 'percentage' || (v > 0 && v <= 100);
+      },
+      message: 'Percentage coupons need a value between 1 and 100'
+    }
+  },
+  // Minimum cart subtotal in minor units
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When either list is set the discount only applies to matching lines
+  appliesTo: {
+    categories: [String],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }]
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Personal coupons (e.g. cart recovery offers) only work for this customer
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
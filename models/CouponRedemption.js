@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One use of a coupon on an order. 'reserved' while the order awaits
+// payment, 'redeemed' once paid, 'released' if the order never completes.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Lets per-customer limits apply to guest checkouts too
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Discount given, in minor units
+  discount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ couponId: 1, email: 1, status: 1 });
+couponRedemptionSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
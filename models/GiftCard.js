@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Characters used in codes: no 0/O or 1/I to misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// A gift card, bought by a customer or issued by an admin. Amounts are in
+// minor units (cents). The balance is only ever changed by ledgerService,
+// which records every change as a LedgerEntry.
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  initialAmount: {
+    type: Number,
+    required: true,
+    min: [1, 'Gift card amount must be positive']
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  // 'pending' until a purchased card has been paid for
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'disabled', 'expired'],
+    default: 'active'
+  },
+  expiresAt: Date,
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  recipientEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Who bought it (purchaserEmail for guests) and the payment for it
+  purchaserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  purchaserEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  paymentIntentId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Admin who issued it, for cards given away rather than sold
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deliveredAt: Date
+}, { timestamps: true });
+
+giftCardSchema.index({ status: 1, expiresAt: 1 });
+giftCardSchema.index({ purchaserId: 1, createdAt: -1 });
+
+// e.g. GC-7KQ2-M9XD-4TPA-Z3HN
+giftCardSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(16);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GC-${chars.match(/.{4}/g).join('-')}`;
+};
+
+// Codes are shown with dashes but may be typed without them
+giftCardSchema.statics.normaliseCode = function(code) {
+  let chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (chars.length === 18 && chars.startsWith('GC')) chars = chars.slice(2);
+  return chars.length === 16 ? `GC-${chars.match(/.{4}/g).join('-')}` : chars;
+};
+
+giftCardSchema.methods.isUsable = function(now = new Date()) {
+  return this.status === 'active' && this.balance > 0 && !(this.expiresAt && this.expiresAt <= now);
+};
+
+// Last four characters, safe to show on orders and receipts
+giftCardSchema.virtual('maskedCode').get(function() {
+  return this.code ? `GC-****-${this.code.slice(-4)}` : undefined;
+});
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
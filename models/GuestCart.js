@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+// Cart for a shopper who has not signed in. The client keeps the token and
+// sends it back in the X-Guest-Token header.
+const guestCartSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Same shape as User.cart so the checkout code can price either
+  cart: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: mongoose.Schema.Types.ObjectId,
+    quantity: { type: Number, default: 1 },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  cartCouponCode: { type: String, uppercase: true, trim: true }
+}, { timestamps: true });
+
+// Forget carts nobody has touched for a while
+guestCartSchema.index({ updatedAt: 1 }, { expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('GuestCart', guestCartSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// issue: value added (card sold or issued, credit granted)
+// redeem: spent on an order
+// release: a redemption given back because the order never completed
+// refund_to_credit: an order refund paid back as credit
+// expire: balance left on a card when it expired
+// reverse: credit taken back, e.g. a referral reward whose order was refunded
+const LEDGER_ENTRY_TYPES = ['issue', 'redeem', 'release', 'refund_to_credit', 'expire', 'reverse'];
+
+// Append-only record of every change to a gift card balance or a
+// customer's store credit. Amounts are signed minor units: positive adds
+// to the balance, negative takes from it. Summing an account's entries
+// gives its balance.
+const ledgerEntrySchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: ['gift_card', 'store_credit'],
+    required: true
+  },
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  // Owner of the store credit account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: v => Number.isInteger(v) && v !== 0,
+      message: 'Ledger amounts must be a non-zero number of cents'
+    }
+  },
+  // Account balance once this entry was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.index({ giftCardId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ userId: 1, account: 1, createdAt: 1 });
+ledgerEntrySchema.index({ orderId: 1 });
+
+// Entries are never edited or removed; mistakes are put right with a new entry
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Ledger entries cannot be changed'));
+  next();
+});
+
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Ledger entries cannot be changed'));
+  }
+);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+LedgerEntry.TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = LedgerEntry;
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// A loyalty level reached by spending. minSpend is in minor units (cents),
+// over the rolling window set on the program.
+const loyaltyTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tier name is required'],
+    trim: true,
+    lowercase: true
+  },
+  minSpend: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Points earned on purchases are multiplied by this
+  earnMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Shown to customers, e.g. "Early access to new collections"
+  perks: [String]
+}, { _id: false });
+
+const defaultTiers = () => [
+  { name: 'bronze', minSpend: 0, earnMultiplier: 1 },
+  { name: 'silver', minSpend: 50000, earnMultiplier: 1.25 },
+  { name: 'gold', minSpend: 150000, earnMultiplier: 1.5, freeShipping: true }
+];
+
+// Earn and burn rules for loyalty points. There is only ever one of these,
+// created with the defaults below the first time it is read.
+const loyaltyProgramSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Earning
+  pointsPerDollar: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  bookingPoints: {
+    type: Number,
+    default: 50,
+    min: 0
+  },
+  // Only reviews marked as a verified purchase earn points
+  reviewPoints: {
+    type: Number,
+    default: 20,
+    min: 0
+  },
+  // Redeeming: how many points make $1 off, the fewest that can be used at
+  // once and the largest share of the order they may pay for
+  pointsPerDollarOff: {
+    type: Number,
+    default: 100,
+    min: 1
+  },
+  minRedeemPoints: {
+    type: Number,
+    default: 500,
+    min: 1
+  },
+  maxRedeemPercent: {
+    type: Number,
+    default: 50,
+    min: 1,
+    max: 100
+  },
+  // Tiers go by what was spent over this many days
+  tierWindowDays: {
+    type: Number,
+    default: 365,
+    min: 1
+  },
+  tiers: {
+    type: [loyaltyTierSchema],
+    default: defaultTiers
+  }
+}, { timestamps: true });
+
+loyaltyProgramSchema.pre('validate', function(next) {
+  const names = this.tiers.map(tier => tier.name);
+  if (new Set(names).size !== names.length) {
+    this.invalidate('tiers', 'Tier names must be unique');
+  }
+  this.tiers.sort((a, b) => a.minSpend - b.minSpend);
+  next();
+});
+
+loyaltyProgramSchema.statics.getProgram = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Highest tier the spend qualifies for, or null below the lowest one
+loyaltyProgramSchema.methods.tierFor = function(spend) {
+  return [...this.tiers]
+    .sort((a, b) => b.minSpend - a.minSpend)
+    .find(tier => spend >= tier.minSpend) || null;
+};
+
+loyaltyProgramSchema.methods.findTier = function(name) {
+  return this.tiers.find(tier => tier.name === name) || null;
+};
+
+module.exports = mongoose.model('LoyaltyProgram', loyaltyProgramSchema);
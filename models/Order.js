@@ -0,0 +1,386 @@
+// models/Order.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const createHttpError = require('../utils/httpError');
+const addressSchema = require('./addressSchema');
+
+const ORDER_STATUSES = [
+  'pending_payment',
+  'paid',
+  'processing',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'refunded'
+];
+
+// Allowed moves from each status; anything not listed is rejected
+const ORDER_TRANSITIONS = {
+  pending_payment: ['paid', 'cancelled'],
+  paid: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Orders that have been paid for at some point, i.e. count towards revenue
+const PAID_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'refunded'];
+
+// Customers may cancel until the order has left the building
+const CUSTOMER_CANCELLABLE_STATUSES = ['pending_payment', 'paid', 'processing'];
+
+// All monetary amounts on an order are stored in minor units (cents)
+const orderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  // Snapshot of the product at the time of purchase
+  sku: String,
+  variantName: String,
+  // Components of one bundle, for bundle lines; stock is taken from and
+  // returned to these rather than the bundle itself
+  bundleItems: [{
+    _id: false,
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: mongoose.Schema.Types.ObjectId,
+    quantity: Number
+  }],
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  lineTotal: {
+    type: Number,
+    min: 0
+  }
+});
+
+// A reduction applied to the order (coupon, promotion, ...)
+const discountLineSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['coupon', 'subscription', 'loyalty'],
+    required: true
+  },
+  code: String,
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  description: String,
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false
+  },
+  // Loyalty points spent on this discount
+  points: Number
+}, { _id: false });
+
+// Part of the order paid with a gift card or store credit rather than by
+// card. 'released' when the order was cancelled before payment and the
+// amount went back to its source.
+const creditLineSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['gift_card', 'store_credit'],
+    required: true
+  },
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  // Masked, e.g. GC-****-Z3HN
+  code: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'released'],
+    default: 'applied'
+  }
+});
+
+const taxLineSchema = new mongoose.Schema({
+  taxRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule'
+  },
+  name: String,
+  rate: Number,
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: ORDER_STATUSES
+  },
+  to: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    default: 'system'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    maxlength: 500
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true
+  },
+  // Empty for guest orders until the customer registers with the same email
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestCartId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuestCart'
+  },
+  // Set on orders placed by a subscribe-and-save renewal
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'An order must contain at least one item'
+    }
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discounts: [discountLineSchema],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Copies taken at checkout; editing the address book later leaves these alone
+  shippingAddress: addressSchema,
+  billingAddress: addressSchema,
+  shipping: {
+    methodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingMethod'
+    },
+    code: String,
+    name: String,
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  shippingTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxLines: [taxLineSchema],
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Gift cards and store credit put towards the total; the rest is paid by card
+  credits: [creditLineSchema],
+  creditTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Loyalty points earned when the order was paid, and how many of those
+  // were taken back again as the order was refunded
+  pointsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  pointsReversed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Sum of all refunds issued against this order
+  refundedTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending_payment'
+  },
+  statusHistory: [statusChangeSchema],
+  // Stripe PaymentIntent used to pay for this order
+  paymentIntentId: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  // Set when the order was created from a User.purchaseHistory entry
+  legacyPurchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    unique: true,
+    sparse: true
+  }
+}, { timestamps: true, optimisticConcurrency: true });
+
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ email: 1, orderNumber: 1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'items.productId': 1 });
+orderSchema.index({ subscriptionId: 1 }, { sparse: true });
+
+// Human friendly order number, e.g. BS-20250101-7K3QZ9
+orderSchema.statics.generateOrderNumber = function(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+  return `BS-${day}-${suffix}`;
+};
+
+// Pre-validate middleware to assign an order number and compute totals
+orderSchema.pre('validate', function(next) {
+  if (!this.orderNumber) {
+    this.orderNumber = this.constructor.generateOrderNumber(this.createdAt || new Date());
+  }
+
+  this.items.forEach(item => {
+    item.lineTotal = item.unitPrice * item.quantity;
+  });
+  this.subtotal = this.items.reduce((sum, item) => sum + item.lineTotal, 0);
+  this.discountTotal = Math.min(
+    this.subtotal,
+    this.discounts.reduce((sum, discount) => sum + discount.amount, 0)
+  );
+  this.shippingTotal = this.shipping?.amount || 0;
+  this.taxTotal = this.taxLines.reduce((sum, line) => sum + line.amount, 0);
+  this.total = this.subtotal - this.discountTotal + this.shippingTotal + this.taxTotal;
+  this.creditTotal = Math.min(
+    this.total,
+    this.credits.filter(credit => credit.status === 'applied').reduce((sum, credit) => sum + credit.amount, 0)
+  );
+
+  // Record the initial status so the history starts at creation
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status });
+  }
+
+  next();
+});
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the order to a new status and record who did it. Does not save.
+orderSchema.methods.transitionTo = function(status, { actorType = 'system', actor, note } = {}) {
+  if (!ORDER_STATUSES.includes(status)) {
+    throw createHttpError(400, `Unknown order status "${status}"`);
+  }
+  if (!this.canTransitionTo(status)) {
+    throw createHttpError(409, `Cannot move order from ${this.status} to ${status}`);
+  }
+
+  this.statusHistory.push({ from: this.status, to: status, actorType, actor, note });
+  this.status = status;
+  return this;
+};
+
+orderSchema.methods.refundableAmount = function() {
+  return Math.max(0, this.total - this.refundedTotal);
+};
+
+// What the customer actually paid for quantity units of an order line:
+// the order's discounts (coupons, points spent, ...) are shared across the
+// lines in proportion to their value
+orderSchema.methods.netLineAmount = function(item, quantity = item.quantity) {
+  const lineTotal = item.unitPrice * item.quantity;
+  const discountShare = this.subtotal > 0 ? this.discountTotal * lineTotal / this.subtotal : 0;
+  return Math.round((lineTotal - discountShare) * quantity / item.quantity);
+};
+
+// What is left to pay by card once gift cards and store credit are taken off
+orderSchema.methods.amountDue = function() {
+  return Math.max(0, this.total - this.creditTotal);
+};
+
+orderSchema.methods.isCancellableByCustomer = function() {
+  return CUSTOMER_CANCELLABLE_STATUSES.includes(this.status);
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+Order.ORDER_STATUSES = ORDER_STATUSES;
+Order.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+Order.PAID_STATUSES = PAID_STATUSES;
+
+module.exports = Order;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One record per Stripe PaymentIntent. Amounts are in minor units (cents).
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set instead of orderId when the payment was for a gift card
+  giftCardId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  provider: {
+    type: String,
+    default: 'stripe'
+  },
+  paymentIntentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  chargeId: String,
+  amount: {
+    type: Number,
+    default: 0
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed', 'partially_refunded', 'refunded', 'disputed'],
+    required: true
+  },
+  failureMessage: String,
+  dispute: {
+    id: String,
+    status: String,
+    reason: String,
+    amount: Number
+  }
+}, { timestamps: true });
+
+paymentSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,9 +1,12 @@
 const mongoose = require('mongoose');
+const mediaSchema = require('./mediaSchema');
 
 const postSchema = new mongoose.Schema({
   title: { type: String, required: true },
   content: { type: String, required: true },
   imageUrl: { type: String },
+  // The stored upload behind imageUrl, with its thumbnails
+  image: mediaSchema,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   published: { type: Boolean, default: false }
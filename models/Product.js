@@ -1,5 +1,81 @@
 // models/Product.js
 const mongoose = require('mongoose');
+const mediaSchema = require('./mediaSchema');
+const Category = require('./Category');
+const Brand = require('./Brand');
+const slugify = require('../utils/slugify');
+
+// Variant attributes shoppers can filter on
+const VARIANT_ATTRIBUTES = ['size', 'shade', 'volume'];
+
+// A purchasable version of a product (e.g. 50ml, shade "Rose"). Variants
+// have their own SKU and stock; price and image fall back to the product's.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true
+  },
+  attributes: {
+    size: { type: String, trim: true },
+    shade: { type: String, trim: true },
+    volume: { type: String, trim: true }
+  },
+  price: {
+    type: Number,
+    min: [0, 'Price must be positive']
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative']
+  },
+  productImage: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+\.(jpg|jpeg|png|gif|webp)$/i.test(v);
+      },
+      message: 'Please provide a valid image URL'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// An uploaded product photo. The first image in the list is the main one.
+const productImageSchema = new mongoose.Schema({
+  ...mediaSchema.obj,
+  alt: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Alt text cannot exceed 200 characters']
+  }
+});
+
+// One component of a bundle: a quantity of another product, and which
+// variant for products that have them
+const bundleItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Bundle component product is required']
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: { 
@@ -8,6 +84,19 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Product name cannot exceed 200 characters']
   },
+  // Where the product sits in the category tree. categoryPath is the
+  // category and everything above it, so filtering on any level also finds
+  // products further down.
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  categoryPath: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Names of the top two levels of categoryPath, kept for display and for
+  // older clients. Products outside the tree keep whatever was typed.
   category: {
     type: String,
     required: [true, 'Category is required'],
@@ -17,6 +106,16 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // The brand's name is copied onto the product and kept in step with
+  // brandId. Setting only the name links the brand of that name.
+  brandId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand'
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
   description: {
     type: String,
     maxlength: [2000, 'Description cannot exceed 2000 characters']
@@ -41,6 +140,14 @@ const productSchema = new mongoose.Schema({
       message: 'Please provide a valid image URL'
     }
   },
+  // Uploaded images, in display order. productImage follows the first one.
+  images: {
+    type: [productImageSchema],
+    validate: {
+      validator: v => v.length <= 20,
+      message: 'A product can have at most 20 images'
+    }
+  },
   attributes: {
     hairType: {
       type: [String],
@@ -72,16 +179,45 @@ const productSchema = new mongoose.Schema({
       }
     }
   },
-  // Stock management
+  variants: [variantSchema],
+  // Set for bundles (e.g. a shampoo + conditioner + mask kit), which are
+  // sold at their own price but hold no stock of their own
+  bundleItems: [bundleItemSchema],
+  // Stock management. For products with variants this is the total across
+  // variants and is kept in step with them. For bundles it is the number
+  // of complete sets the components' stock makes up.
   stock: {
     type: Number,
     default: 0,
     min: [0, 'Stock cannot be negative']
   },
+  // Flag the product for reordering once stock falls to this level. Falls
+  // back to LOW_STOCK_DEFAULT_REORDER_POINT when not set.
+  reorderPoint: {
+    type: Number,
+    min: [0, 'Reorder point cannot be negative']
+  },
+  // Usual quantity ordered from the supplier, shown in the low-stock report
+  reorderQuantity: {
+    type: Number,
+    min: [0, 'Reorder quantity cannot be negative']
+  },
+  // Shipping weight in grams
+  weight: {
+    type: Number,
+    default: 0,
+    min: [0, 'Weight cannot be negative']
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Number of wishlists this product is on, kept up to date by wishlistService
+  wishlistCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   // Review statistics
   reviewCount: {
     type: Number,
@@ -121,12 +257,18 @@ const productSchema = new mongoose.Schema({
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1, subcategory: 1 });
+productSchema.index({ categoryPath: 1 });
+productSchema.index({ brandId: 1, averageRating: -1 });
 productSchema.index({ price: 1 });
 productSchema.index({ averageRating: -1 });
 productSchema.index({ 'attributes.hairType': 1 });
 productSchema.index({ 'attributes.skinType': 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ createdAt: -1 }); // For newest products
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.attributes.shade': 1 });
+productSchema.index({ 'variants.attributes.size': 1 });
+productSchema.index({ 'bundleItems.productId': 1 });
 
 // Virtual for getting reviews (not stored in DB)
 productSchema.virtual('reviews', {
@@ -135,13 +277,136 @@ productSchema.virtual('reviews', {
   foreignField: 'productId'
 });
 
+productSchema.virtual('hasVariants').get(function() {
+  return Array.isArray(this.variants) && this.variants.length > 0;
+});
+
+productSchema.virtual('isBundle').get(function() {
+  return Array.isArray(this.bundleItems) && this.bundleItems.length > 0;
+});
+
+// How many complete bundles the components' current stock makes up
+const bundleStock = (bundleItems, components) => Math.min(...bundleItems.map(item => {
+  const component = components.find(p => p._id.equals(item.productId));
+  const variant = component && item.variantId ? component.variants.id(item.variantId) : null;
+  const available = item.variantId ? (variant ? variant.stock : 0) : (component ? component.stock : 0);
+  return Math.floor(available / item.quantity);
+}));
+
+// SKUs must be unique within a product too (the index only covers
+// different products)
+productSchema.path('variants').validate(function(variants) {
+  const skus = variants.map(variant => variant.sku);
+  return new Set(skus).size === skus.length;
+}, 'Each variant needs its own SKU');
+
+// Product fields that follow from sitting in a category
+const categoryFields = async (category) => {
+  const path = await category.getPath();
+  return {
+    categoryId: category._id,
+    categoryPath: path.map(node => node._id),
+    category: path[0].name,
+    subcategory: path[1] ? path[1].name : undefined
+  };
+};
+
+// Keep the category names and path in step with categoryId. Setting only
+// the names (as the CSV import and older clients do) files the product
+// under the matching category, when there is one.
+productSchema.pre('validate', async function() {
+  if (this.isModified('categoryId') && this.categoryId) {
+    const category = await Category.findById(this.categoryId);
+    if (!category) {
+      this.invalidate('categoryId', 'Category not found');
+      return;
+    }
+    this.set(await categoryFields(category));
+  } else if (this.isModified('categoryId') || this.isModified('category') || this.isModified('subcategory')) {
+    const category = await Category.findByNames(this.category, this.subcategory);
+    if (category) {
+      this.set(await categoryFields(category));
+    } else {
+      this.categoryId = undefined;
+      this.categoryPath = [];
+    }
+  }
+});
+
+productSchema.pre('validate', async function() {
+  if (!this.isModified('brandId') && !this.isModified('brand')) return;
+
+  const ref = this.isModified('brandId') ? this.brandId : this.brand;
+  if (!ref) {
+    this.brandId = undefined;
+    this.brand = undefined;
+    return;
+  }
+
+  const brand = this.isModified('brandId') ? await Brand.findById(ref) : await Brand.findByRef(ref);
+  if (!brand) {
+    this.invalidate(this.isModified('brandId') ? 'brandId' : 'brand', `Brand "${ref}" not found`);
+    return;
+  }
+  this.brandId = brand._id;
+  this.brand = brand.name;
+});
+
+// Bundles are made of plain products (or variants of them), never of
+// other bundles, and take their stock from the components
+productSchema.pre('validate', async function() {
+  if (!this.isBundle) return;
+
+  if (this.variants.length > 0) {
+    this.invalidate('variants', 'A bundle cannot have variants of its own');
+    return;
+  }
+
+  const components = await this.constructor.find({
+    _id: { $in: this.bundleItems.map(item => item.productId) }
+  }).select('name stock variants bundleItems attributes');
+
+  for (const [index, item] of this.bundleItems.entries()) {
+    const component = components.find(p => p._id.equals(item.productId));
+    const path = `bundleItems.${index}.productId`;
+
+    if (!component || component._id.equals(this._id)) {
+      this.invalidate(path, 'Bundle component not found');
+    } else if (component.isBundle) {
+      this.invalidate(path, `${component.name} is a bundle and cannot be part of another bundle`);
+    } else if (component.hasVariants ? !component.variants.id(item.variantId) : item.variantId) {
+      this.invalidate(`bundleItems.${index}.variantId`, component.hasVariants
+        ? `Please choose an option for ${component.name}`
+        : `${component.name} has no options`);
+    }
+  }
+
+  // Without hair/skin types of its own a bundle matches the same filters
+  // as its components
+  ['hairType', 'skinType'].forEach(attribute => {
+    if (this.attributes[attribute].length === 0) {
+      this.attributes[attribute] = [...new Set(components.flatMap(component => component.attributes[attribute] || []))];
+    }
+  });
+
+  this.stock = bundleStock(this.bundleItems, components);
+});
+
+productSchema.statics.slugify = slugify;
+
 // Pre-save middleware to generate slug
 productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+
   if (this.isModified('name') || !this.slug) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+    this.slug = this.constructor.slugify(this.name);
+  }
+
+  // Keep the single image field that older clients read in step
+  if (this.isModified('images') && this.images.length > 0) {
+    this.productImage = this.images[0].url;
   }
   
   // Track price changes
@@ -156,6 +421,27 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// A component's stock changed (or it was deleted): recount the bundles
+// that contain it
+productSchema.statics.refreshBundleStock = async function(productIds) {
+  const bundles = await this.find({ 'bundleItems.productId': { $in: productIds } }).select('bundleItems');
+
+  for (const bundle of bundles) {
+    const components = await this.find({
+      _id: { $in: bundle.bundleItems.map(item => item.productId) }
+    }).select('stock variants');
+    await this.updateOne({ _id: bundle._id }, { stock: bundleStock(bundle.bundleItems, components) });
+  }
+};
+
+productSchema.post('save', async function(product) {
+  if (!product.isBundle) await product.constructor.refreshBundleStock([product._id]);
+});
+
+productSchema.post('findOneAndDelete', async function(product) {
+  if (product && !product.isBundle) await product.constructor.refreshBundleStock([product._id]);
+});
+
 // Static method to update review stats
 productSchema.statics.updateReviewStats = async function(productId) {
   try {
@@ -186,6 +472,23 @@ productSchema.statics.updateReviewStats = async function(productId) {
   }
 };
 
+// Match products with an active variant having every requested variant
+// attribute, e.g. { shade: 'Rose', size: ['50ml', '100ml'] }. Returns null
+// when the query has no variant attributes.
+const variantAttributeFilter = (query) => {
+  const conditions = {};
+  VARIANT_ATTRIBUTES.forEach(attribute => {
+    const value = query[attribute];
+    if (value) conditions[`attributes.${attribute}`] = { $in: Array.isArray(value) ? value : [value] };
+  });
+
+  return Object.keys(conditions).length > 0
+    ? { variants: { $elemMatch: { ...conditions, isActive: true } } }
+    : null;
+};
+
+productSchema.statics.variantAttributeFilter = variantAttributeFilter;
+
 // Static method for advanced search
 productSchema.statics.search = function(query) {
   const { 
@@ -200,6 +503,8 @@ productSchema.statics.search = function(query) {
     sortBy = 'relevance'
   } = query;
 
+  const variantMatch = variantAttributeFilter(query);
+
   let pipeline = [
     { $match: { isActive: true } }
   ];
@@ -237,6 +542,7 @@ productSchema.statics.search = function(query) {
   if (skinType) {
     pipeline.push({ $match: { 'attributes.skinType': { $in: Array.isArray(skinType) ? skinType : [skinType] } } });
   }
+  if (variantMatch) pipeline.push({ $match: variantMatch });
 
   // Rating filter
   if (minRating) {
@@ -279,4 +585,14 @@ productSchema.methods.updateStock = function(quantity) {
   return this.save();
 };
 
-module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
+// Price of one unit of a variant (or the product itself when no variant)
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+productSchema.statics.categoryFields = categoryFields;
+
+const Product = mongoose.model('Product', productSchema);
+Product.VARIANT_ATTRIBUTES = VARIANT_ATTRIBUTES;
+
+module.exports = Product;
\ No newline at end of file
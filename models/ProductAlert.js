@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A shopper (signed in or just an email) watching a product for a restock
+// or a price drop. Alerts stay active after firing so the watcher hears
+// about the next restock or price change too, but only once per event.
+const productAlertSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['back_in_stock', 'price_drop'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  // Price drops: notify when the price falls to this or lower. Same units
+  // as Product.price.
+  targetPrice: {
+    type: Number,
+    min: [0, 'Target price cannot be negative'],
+    required: [function() { return this.type === 'price_drop'; }, 'Target price is required']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  // Restocks: false once notified, set back to true when the product sells
+  // out again
+  armed: {
+    type: Boolean,
+    default: true
+  },
+  // Price drops: the priceHistory entry we last notified about
+  lastPriceEntryId: mongoose.Schema.Types.ObjectId,
+  lastNotifiedAt: Date,
+  notificationCount: {
+    type: Number,
+    default: 0
+  },
+  // Lets the link in the email cancel the alert without signing in
+  cancelToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex'),
+    unique: true
+  }
+}, { timestamps: true });
+
+// One active alert of each type per product and email
+productAlertSchema.index(
+  { productId: 1, type: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+productAlertSchema.index({ type: 1, status: 1, armed: 1 });
+productAlertSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ProductAlert', productAlertSchema);
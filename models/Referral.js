@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Why a referral was turned down instead of rewarded
+const REJECT_REASONS = ['self_referral', 'same_email_domain', 'same_ip', 'ip_limit', 'same_address'];
+
+// What one side of a referral was given
+const referralRewardSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['referrer', 'referee'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['store_credit', 'coupon'],
+    required: true
+  },
+  // Minor units (cents)
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  couponCode: String,
+  ledgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  // How much was taken back when the order was refunded. Credit already
+  // spent and coupons already used cannot be.
+  reversedAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// A customer who signed up with someone else's referral code. 'pending'
+// until their first order is delivered, when both sides are rewarded;
+// 'reversed' once refunds take that order below the minimum again.
+const referralSchema = new mongoose.Schema({
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // A customer can only ever be referred once
+  refereeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded', 'rejected', 'reversed'],
+    default: 'pending'
+  },
+  rejectReason: {
+    type: String,
+    enum: REJECT_REASONS
+  },
+  // Where the referee registered from, for the same-IP checks
+  signupIp: String,
+  // The order that earned the rewards
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  rewards: [referralRewardSchema],
+  rewardedAt: Date,
+  reversedAt: Date
+}, { timestamps: true });
+
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+referralSchema.index({ signupIp: 1, createdAt: -1 });
+referralSchema.index({ status: 1, createdAt: -1 });
+
+const Referral = mongoose.model('Referral', referralSchema);
+Referral.REJECT_REASONS = REJECT_REASONS;
+
+module.exports = Referral;
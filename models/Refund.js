@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Money paid back to a customer. Amounts are in minor units (cents).
+const refundSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  returnRequestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  // 'stripe' refunds go back to the card; 'manual' records money returned
+  // outside Stripe (cash in salon, bank transfer, ...); 'store_credit' pays
+  // it back as credit (see LedgerEntry)
+  method: {
+    type: String,
+    enum: ['stripe', 'manual', 'store_credit'],
+    default: 'stripe'
+  },
+  stripeRefundId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set when the money went back through a lost card dispute rather than
+  // a refund we made
+  disputeId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Refund amount must be positive']
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  },
+  // Card refunds stay 'pending' until Stripe reports them through, and
+  // only count towards the order's refunded total once 'succeeded'
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'succeeded'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+refundSchema.index({ orderId: 1 });
+refundSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = [
+  'damaged',
+  'wrong_item',
+  'not_as_described',
+  'allergic_reaction',
+  'changed_mind',
+  'other'
+];
+
+const returnRequestSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The order line being returned
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: [true, 'A return reason is required']
+  },
+  customerNote: {
+    type: String,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'refunded'],
+    default: 'requested'
+  },
+  adminNote: {
+    type: String,
+    maxlength: 1000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+returnRequestSchema.index({ orderId: 1, itemId: 1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+returnRequestSchema.index({ userId: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+ReturnRequest.RETURN_REASONS = RETURN_REASONS;
+
+module.exports = ReturnRequest;
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Where a parcel is, as reported by the carrier. Carriers map their own
+// tracking codes onto these.
+const SHIPMENT_STATUSES = [
+  'label_created',
+  'in_transit',
+  'out_for_delivery',
+  'delivered',
+  'exception',
+  'returned'
+];
+
+// Statuses after which the carrier has nothing more to tell us
+const FINAL_STATUSES = ['delivered', 'returned'];
+
+const trackingEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    required: true
+  },
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// The order lines (or part of them) in this parcel
+const shipmentItemSchema = new mongoose.Schema({
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+// One parcel sent for an order. An order can go out in several.
+const shipmentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Code of the carrier adapter, see services/carriers
+  carrier: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    required: [true, 'Tracking number is required'],
+    trim: true
+  },
+  trackingUrl: String,
+  items: {
+    type: [shipmentItemSchema],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'A shipment must contain at least one item'
+    }
+  },
+  status: {
+    type: String,
+    enum: SHIPMENT_STATUSES,
+    default: 'label_created'
+  },
+  // Oldest first
+  events: [trackingEventSchema],
+  shippedAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  estimatedDeliveryAt: Date,
+  // Last time the poller asked the carrier for news
+  lastCheckedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+shipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+shipmentSchema.index({ orderId: 1, createdAt: 1 });
+shipmentSchema.index({ status: 1, lastCheckedAt: 1 });
+
+shipmentSchema.methods.isFinal = function() {
+  return FINAL_STATUSES.includes(this.status);
+};
+
+const Shipment = mongoose.model('Shipment', shipmentSchema);
+
+Shipment.STATUSES = SHIPMENT_STATUSES;
+Shipment.FINAL_STATUSES = FINAL_STATUSES;
+
+module.exports = Shipment;
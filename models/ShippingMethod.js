@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Amounts are in minor units (cents), weights in grams
+const shippingTierSchema = new mongoose.Schema({
+  // Upper bound of the tier (grams for weight tiers, cents for price tiers)
+  upTo: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shipping method name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Shipping method code is required'],
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: String,
+  type: {
+    type: String,
+    enum: ['flat', 'weight_tiers', 'price_tiers', 'pickup'],
+    required: true
+  },
+  // Used by flat rate, and as the fallback when a cart is above every tier
+  rate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tiers: [shippingTierSchema],
+  // Shipping is free once the discounted subtotal reaches this amount
+  freeOver: {
+    type: Number,
+    min: 0
+  },
+  // ISO country codes this method ships to; empty means everywhere
+  countries: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  estimatedDays: String,
+  position: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+shippingMethodSchema.virtual('requiresAddress').get(function() {
+  return this.type !== 'pickup';
+});
+
+module.exports = mongoose.model('ShippingMethod', shippingMethodSchema);
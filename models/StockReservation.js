@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Stock held for an order while its payment is pending. The quantity has
+// already been taken off Product.stock; releasing puts it back.
+const stockReservationSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when the stock is held on one variant of the product
+  variantId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releasedReason: String
+}, { timestamps: true });
+
+stockReservationSchema.index({ orderId: 1, status: 1 });
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('StockReservation', stockReservationSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Webhook deliveries we have seen, keyed by Stripe event id so retries are
+// processed at most once
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  error: String,
+  processedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
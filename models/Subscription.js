@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const addressSchema = require('./addressSchema');
+
+// Weeks between deliveries a customer can choose from
+const SUBSCRIPTION_INTERVALS = [4, 6, 8];
+
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'cancelled'];
+
+// Subscribe and save: one product delivered on a schedule, charged to a
+// saved card. Each renewal creates an ordinary order (Order.subscriptionId).
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  intervalWeeks: {
+    type: Number,
+    enum: {
+      values: SUBSCRIPTION_INTERVALS,
+      message: `Delivery interval must be one of: ${SUBSCRIPTION_INTERVALS.join(', ')} weeks`
+    },
+    required: true
+  },
+  // Percentage off every renewal, fixed when the customer subscribes
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: 'active'
+  },
+  nextRenewalAt: {
+    type: Date,
+    required: true
+  },
+  // Copy taken when subscribing, like the addresses on orders
+  shippingAddress: addressSchema,
+  shippingMethodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingMethod'
+  },
+  // Stripe PaymentMethod saved to the customer (User.stripeCustomerId)
+  paymentMethodId: String,
+  // nextRenewalAt the last reminder email was sent for
+  reminderSentFor: Date,
+  lastOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
+  // Renewals that failed in a row; reset by a successful one
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  pausedAt: Date,
+  cancelledAt: Date
+}, { timestamps: true });
+
+subscriptionSchema.index({ userId: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, nextRenewalAt: 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+Subscription.INTERVALS = SUBSCRIPTION_INTERVALS;
+Subscription.STATUSES = SUBSCRIPTION_STATUSES;
+
+module.exports = Subscription;
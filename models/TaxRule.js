@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rule name is required'],
+    trim: true
+  },
+  // ISO 3166-1 alpha-2
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  // Optional state / province code. Region rules take precedence over
+  // country-wide ones; several rules for the same region stack (e.g. GST + PST).
+  region: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  // Percentage, e.g. 18 for 18%
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100']
+  },
+  appliesToShipping: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+taxRuleSchema.index({ country: 1, region: 1 });
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const addressSchema = require('./addressSchema');
 
 const interactionSchema = new mongoose.Schema({
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
@@ -6,6 +7,31 @@ const interactionSchema = new mongoose.Schema({
   date: { type: Date, default: Date.now }
 });
 
+// One change to a customer's loyalty points. Points are signed: positive
+// adds to the balance, negative takes from it.
+const loyaltyEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['earn_order', 'earn_booking', 'earn_review', 'redeem', 'release', 'reverse', 'adjust'],
+    required: true
+  },
+  points: { type: Number, required: true },
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+  reviewId: { type: mongoose.Schema.Types.ObjectId, ref: 'Review' },
+  note: { type: String, maxlength: 500 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Address book entry: the shared address fields plus a label and default flags
+const savedAddressSchema = new mongoose.Schema({
+  ...addressSchema.obj,
+  label: { type: String, trim: true }, // e.g. "Home", "Salon"
+  isDefaultShipping: { type: Boolean, default: false },
+  isDefaultBilling: { type: Boolean, default: false }
+}, { timestamps: true });
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, unique: true, required: true },
@@ -17,13 +43,44 @@ const userSchema = new mongoose.Schema({
     beautyGoals: String,
     priceRange: { min: Number, max: Number }
   },
-  purchaseHistory: [{ productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, date: Date, quantity: Number }],
   cart: [{
     productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    variantId: mongoose.Schema.Types.ObjectId,
     quantity: { type: Number, default: 1 },
     addedAt: { type: Date, default: Date.now }
   }],
+  cartCouponCode: { type: String, uppercase: true, trim: true },
+  // Stripe Customer holding the cards saved for subscriptions
+  stripeCustomerId: String,
+  // Store credit in cents. Only changed by ledgerService, alongside a LedgerEntry.
+  storeCreditBalance: { type: Number, default: 0, min: 0 },
+  // Points balance and its history. Only changed by loyaltyService. The
+  // balance can dip below zero when points already spent are taken back
+  // after a refund.
+  loyalty: {
+    points: { type: Number, default: 0 },
+    tier: String,
+    // Spend in cents over the program's rolling window, as of tierUpdatedAt
+    tierSpend: { type: Number, default: 0 },
+    tierUpdatedAt: Date,
+    entries: [loyaltyEntrySchema]
+  },
+  // Code other customers can sign up with; created the first time it is asked for
+  referralCode: { type: String, unique: true, sparse: true, uppercase: true },
+  // Set once the customer follows the link in the verification email.
+  // Guest orders placed with the email are only attached after that.
+  emailVerifiedAt: Date,
+  // Kept for the referral programme's fraud checks
+  signupIp: String,
+  lastLoginIp: String,
+  addresses: [savedAddressSchema],
   interactionHistory: [interactionSchema],
+  // Marketing email opt-outs, switched off from the unsubscribe link
+  emailPreferences: {
+    cartReminders: { type: Boolean, default: true }
+  },
+  // Legacy: purchases now live in the Order collection. Kept only so
+  // scripts/migratePurchaseHistory.js can move existing entries across.
   purchaseHistory: [{
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
   quantity: { type: Number, default: 1 },
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One wishlist per customer. Sharing hands out a random token that lets
+// anyone with the link see (but not change) the list.
+const wishlistSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    note: { type: String, trim: true, maxlength: 200 },
+    addedAt: { type: Date, default: Date.now }
+  }],
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  shareToken: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, { timestamps: true });
+
+wishlistSchema.index({ 'items.productId': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Postal address embedded on orders (and anywhere else that needs one).
+// Not a model of its own.
+const addressSchema = new mongoose.Schema({
+  fullName: { type: String, trim: true },
+  line1: { type: String, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, trim: true },
+  // State / province / county code
+  region: { type: String, trim: true, uppercase: true },
+  postalCode: { type: String, trim: true, uppercase: true },
+  // ISO 3166-1 alpha-2, e.g. US, GB, RW
+  country: { type: String, trim: true, uppercase: true, minlength: 2, maxlength: 2 },
+  phone: { type: String, trim: true }
+}, { _id: false });
+
+module.exports = addressSchema;
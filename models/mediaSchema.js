@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// An uploaded image as stored by mediaService: the original plus resized
+// copies. Embedded wherever an image is attached. Not a model of its own.
+const mediaSchema = new mongoose.Schema({
+  // Storage key of the original; the resized copies sit beside it
+  key: { type: String, required: true },
+  url: { type: String, required: true },
+  thumbnails: {
+    small: String,
+    medium: String
+  },
+  contentType: String,
+  width: Number,
+  height: Number,
+  // Bytes, of the original
+  size: Number
+}, { _id: false });
+
+module.exports = mediaSchema;
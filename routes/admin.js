@@ -1,64 +1,125 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const ReturnRequest = require('../models/ReturnRequest');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const ShippingMethod = require('../models/ShippingMethod');
+const TaxRule = require('../models/TaxRule');
+const Wishlist = require('../models/Wishlist');
+const CartRecoveryEmail = require('../models/CartRecoveryEmail');
+const Subscription = require('../models/Subscription');
+const GiftCard = require('../models/GiftCard');
+const LedgerEntry = require('../models/LedgerEntry');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const Booking = require('../models/Booking');
+const Referral = require('../models/Referral');
+const Shipment = require('../models/Shipment');
+const Category = require('../models/Category');
+const Brand = require('../models/Brand');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { changeOrderStatus } = require('../services/orderService');
+const { approveReturn, rejectReturn } = require('../services/returnService');
+const { getStockReport } = require('../services/inventoryService');
+const { issueGiftCard } = require('../services/giftCardService');
+const { postEntry, ledgerBalance } = require('../services/ledgerService');
+const {
+  adjustPoints,
+  awardBookingPoints,
+  getLoyaltySummary,
+  getLoyaltyHistory
+} = require('../services/loyaltyService');
+const { getReferralReport } = require('../services/referralService');
+const { createShipment, applyTrackingEvents } = require('../services/shipmentService');
+const { listCarriers } = require('../services/carriers');
+const { importProducts, exportProducts } = require('../services/productCsvService');
+const { getCategoryTree, saveCategory, deleteCategory } = require('../services/categoryService');
+const { saveBrand, deleteBrand } = require('../services/brandService');
+const { imageUpload, storeImage, removeImage } = require('../services/mediaService');
+const { fromMinorUnits } = require('../utils/money');
+
 const getSalesAnalytics = async () => {
   try {
     // 1. Total Revenue
-    const revenueData = await User.aggregate([
-      { $unwind: "$purchaseHistory" },
-      {
-        $lookup: {
-          from: "products",
-          localField: "purchaseHistory.productId",
-          foreignField: "_id",
-          as: "product"
-        }
-      },
-      { $unwind: "$product" },
+    const revenueData = await Order.aggregate([
+      { $match: { status: { $in: Order.PAID_STATUSES } } },
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: { $multiply: ["$purchaseHistory.quantity", "$product.price"] } },
+          totalRevenue: { $sum: "$total" },
           totalOrders: { $sum: 1 }
         }
       }
     ]);
 
     // 2. Sales Trend (Last 30 Days)
-    const salesTrend = await User.aggregate([
-      { $unwind: "$purchaseHistory" },
+    const salesTrend = await Order.aggregate([
       {
         $match: {
-          "purchaseHistory.date": { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+          status: { $in: Order.PAID_STATUSES },
+          createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
         }
       },
       {
         $group: {
-          _id: { $dateToString: { format: "%Y-%m-%d", date: "$purchaseHistory.date" } },
-          dailySales: { $sum: 1 }
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          dailySales: { $sum: 1 },
+          revenue: { $sum: "$total" }
         }
       },
       { $sort: { _id: 1 } }
     ]);
 
-    // 3. Top Selling Products
-    const topProducts = await User.aggregate([
-      { $unwind: "$purchaseHistory" },
+    // 3. Refunds count as negative revenue. Only refunds of orders still
+    // counted above: a cancelled order has already left revenue, so its
+    // refund must not be taken off a second time.
+    const refundsOfPaidOrders = [
+      { $lookup: { from: Order.collection.name, localField: 'orderId', foreignField: '_id', as: 'order' } },
+      { $match: { 'order.status': { $in: Order.PAID_STATUSES } } }
+    ];
+
+    const refundData = await Refund.aggregate([
+      { $match: { status: 'succeeded' } },
+      ...refundsOfPaidOrders,
       {
-        $lookup: {
-          from: "products",
-          localField: "purchaseHistory.productId",
-          foreignField: "_id",
-          as: "product"
+        $group: {
+          _id: null,
+          totalRefunded: { $sum: "$amount" },
+          refundCount: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const refundTrend = await Refund.aggregate([
+      {
+        $match: {
+          status: 'succeeded',
+          createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
         }
       },
-      { $unwind: "$product" },
+      ...refundsOfPaidOrders,
       {
         $group: {
-          _id: "$product.name",
-          totalSold: { $sum: "$purchaseHistory.quantity" },
-          revenue: { $sum: { $multiply: ["$purchaseHistory.quantity", "$product.price"] } }
+          _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+          refunded: { $sum: "$amount" }
+        }
+      }
+    ]);
+
+    // 4. Top Selling Products
+    const topProducts = await Order.aggregate([
+      { $match: { status: { $in: Order.PAID_STATUSES } } },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: "$items.name",
+          totalSold: { $sum: "$items.quantity" },
+          revenue: { $sum: "$items.lineTotal" }
         }
       },
       { $sort: { totalSold: -1 } },
@@ -66,10 +127,25 @@ const getSalesAnalytics = async () => {
     ]);
 
     return {
-      totalRevenue: revenueData[0]?.totalRevenue || 0,
+      // Orders store cents; analytics report in the display currency
+      totalRevenue: fromMinorUnits(revenueData[0]?.totalRevenue),
+      totalRefunds: -fromMinorUnits(refundData[0]?.totalRefunded),
+      refundCount: refundData[0]?.refundCount || 0,
+      netRevenue: fromMinorUnits((revenueData[0]?.totalRevenue || 0) - (refundData[0]?.totalRefunded || 0)),
       totalOrders: revenueData[0]?.totalOrders || 0,
-      salesTrend,
-      topProducts
+      // Every day with sales or refunds, so refund-only days show up negative
+      salesTrend: [...new Set([...salesTrend, ...refundTrend].map(day => day._id))].sort().map(date => {
+        const sales = salesTrend.find(day => day._id === date) || { dailySales: 0, revenue: 0 };
+        const refunded = refundTrend.find(day => day._id === date)?.refunded || 0;
+        return {
+          _id: date,
+          dailySales: sales.dailySales,
+          revenue: fromMinorUnits(sales.revenue),
+          refunds: -fromMinorUnits(refunded),
+          netRevenue: fromMinorUnits(sales.revenue - refunded)
+        };
+      }),
+      topProducts: topProducts.map(product => ({ ...product, revenue: fromMinorUnits(product.revenue) }))
     };
   } catch (error) {
     console.error("Error in sales analytics:", error);
@@ -108,15 +184,27 @@ const getCustomerAnalytics = async () => {
     ]);
 
     // 3. Most Active Users (Most Purchases)
-    const activeUsers = await User.aggregate([
+    const activeUsers = await Order.aggregate([
+      { $match: { userId: { $exists: true }, status: { $in: Order.PAID_STATUSES } } },
       {
-        $addFields: {
-          purchaseCount: { $size: "$purchaseHistory" }
+        $group: {
+          _id: "$userId",
+          purchaseCount: { $sum: 1 },
+          totalSpent: { $sum: { $subtract: ["$total", { $ifNull: ["$refundedTotal", 0] }] } }
         }
       },
       { $sort: { purchaseCount: -1 } },
       { $limit: 5 },
-      { $project: { name: 1, email: 1, purchaseCount: 1, _id: 0 } }
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "user"
+        }
+      },
+      { $unwind: "$user" },
+      { $project: { name: "$user.name", email: "$user.email", purchaseCount: 1, totalSpent: 1, _id: 0 } }
     ]);
 
     return {
@@ -172,56 +260,1164 @@ const getProductSuggestions = async () => {
 };
 
 
+const getCouponAnalytics = async () => {
+  try {
+    const byCoupon = await CouponRedemption.aggregate([
+      { $match: { status: 'redeemed' } },
+      {
+        $group: {
+          _id: "$code",
+          redemptions: { $sum: 1 },
+          discountGiven: { $sum: "$discount" }
+        }
+      },
+      { $sort: { redemptions: -1 } }
+    ]);
+
+    const totals = byCoupon.reduce((sum, coupon) => ({
+      redemptions: sum.redemptions + coupon.redemptions,
+      discountGiven: sum.discountGiven + coupon.discountGiven
+    }), { redemptions: 0, discountGiven: 0 });
+
+    return {
+      totalRedemptions: totals.redemptions,
+      totalDiscountGiven: fromMinorUnits(totals.discountGiven),
+      byCoupon: byCoupon.map(coupon => ({ ...coupon, discountGiven: fromMinorUnits(coupon.discountGiven) }))
+    };
+  } catch (error) {
+    console.error("Error in coupon analytics:", error);
+    throw error;
+  }
+};
 
-router.get('/analytics', async (req, res) => {
+
+router.get('/analytics', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const sales = await getSalesAnalytics();
     const customers = await getCustomerAnalytics();
     const productSuggestions = await getProductSuggestions();
+    const coupons = await getCouponAnalytics();
 
-    res.json({ sales, customers, productSuggestions });
+    res.json({ sales, customers, productSuggestions, coupons });
   } catch (error) {
     res.status(500).json({ error: "Failed to fetch analytics" });
   }
 });
 
-router.get('/orders', async (req, res) => {
+router.get('/orders', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const orders = await Order.find(query)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(orders);
+  } catch (error) {
+    console.error('Failed to fetch orders:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/orders/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('userId', 'name email')
+      .populate('statusHistory.actor', 'name email');
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json({
+      order,
+      allowedTransitions: Order.ORDER_TRANSITIONS[order.status] || []
+    });
+  } catch (error) {
+    console.error('Failed to fetch order:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Advance an order through its lifecycle
+router.put('/orders/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!status) return res.status(400).json({ message: 'Status is required' });
+
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    await changeOrderStatus(order, status, {
+      actorType: 'admin',
+      actor: req.user.id,
+      note
+    });
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Failed to update order status:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+router.get('/returns', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const returns = await ReturnRequest.find(query)
+      .populate('orderId', 'orderNumber total refundedTotal status')
+      .populate('userId', 'name email')
+      .populate('productId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(returns);
+  } catch (error) {
+    console.error('Failed to fetch returns:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve a return: refunds the customer (full line value unless an amount
+// in cents is given) and restocks the item unless restock is false
+router.put('/returns/:id/approve', authMiddleware, adminMiddleware, async (req, res) => {
+  const { amount, method, restock, note } = req.body;
+
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) return res.status(404).json({ message: 'Return request not found' });
+
+    const order = await Order.findById(returnRequest.orderId);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const result = await approveReturn({
+      returnRequest,
+      order,
+      amount: amount === undefined ? undefined : parseInt(amount),
+      method,
+      restock: restock !== false,
+      note,
+      adminId: req.user.id
+    });
+
+    res.json({ success: true, ...result, order });
+  } catch (error) {
+    console.error('Failed to approve return:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+router.put('/returns/:id/reject', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) return res.status(404).json({ message: 'Return request not found' });
+
+    await rejectReturn({ returnRequest, note: req.body.note, adminId: req.user.id });
+
+    res.json({ success: true, returnRequest });
+  } catch (error) {
+    console.error('Failed to reject return:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// ===========================================
+// COUPONS
+// ===========================================
+
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'minimumSpend', 'appliesTo',
+  'usageLimit', 'perUserLimit', 'assignedTo', 'startsAt', 'endsAt', 'isActive'
+];
+
+// Only copy fields admins are allowed to set (usageCount etc. stay server-side)
+const pickFields = (body, allowed) => allowed.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+const pickCouponFields = (body) => pickFields(body, COUPON_FIELDS);
+
+router.get('/coupons', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const orders = await User.aggregate([
-      { $unwind: "$purchaseHistory" },
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error('Failed to fetch coupons:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.get('/coupons/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    const redemptions = await CouponRedemption.find({ couponId: coupon._id })
+      .populate('userId', 'name email')
+      .populate('orderId', 'orderNumber total')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ coupon, redemptions });
+  } catch (error) {
+    console.error('Failed to fetch coupon:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/coupons', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = new Coupon(pickCouponFields(req.body));
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    if (error.code === 11000) return res.status(400).json({ message: 'A coupon with this code already exists' });
+    console.error('Failed to create coupon:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/coupons/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    if (error.code === 11000) return res.status(400).json({ message: 'A coupon with this code already exists' });
+    console.error('Failed to update coupon:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Used coupons are deactivated rather than deleted to keep order history intact
+router.delete('/coupons/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: 'Coupon not found' });
+
+    if (await CouponRedemption.exists({ couponId: coupon._id })) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has been used, so it was deactivated instead', coupon });
+    }
+
+    await coupon.deleteOne();
+    res.json({ message: 'Coupon deleted' });
+  } catch (error) {
+    console.error('Failed to delete coupon:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// SHIPPING METHODS
+// ===========================================
+
+const SHIPPING_METHOD_FIELDS = [
+  'name', 'code', 'description', 'type', 'rate', 'tiers', 'freeOver',
+  'countries', 'estimatedDays', 'position', 'isActive'
+];
+
+router.get('/shipping-methods', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const methods = await ShippingMethod.find().sort({ position: 1, name: 1 });
+    res.json(methods);
+  } catch (error) {
+    console.error('Failed to fetch shipping methods:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/shipping-methods', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const method = new ShippingMethod(pickFields(req.body, SHIPPING_METHOD_FIELDS));
+    await method.save();
+    res.status(201).json(method);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    if (error.code === 11000) return res.status(400).json({ message: 'A shipping method with this code already exists' });
+    console.error('Failed to create shipping method:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/shipping-methods/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const method = await ShippingMethod.findById(req.params.id);
+    if (!method) return res.status(404).json({ message: 'Shipping method not found' });
+
+    method.set(pickFields(req.body, SHIPPING_METHOD_FIELDS));
+    await method.save();
+    res.json(method);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    if (error.code === 11000) return res.status(400).json({ message: 'A shipping method with this code already exists' });
+    console.error('Failed to update shipping method:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Orders keep a copy of the method they used, so deleting is safe
+router.delete('/shipping-methods/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const method = await ShippingMethod.findByIdAndDelete(req.params.id);
+    if (!method) return res.status(404).json({ message: 'Shipping method not found' });
+    res.json({ message: 'Shipping method deleted' });
+  } catch (error) {
+    console.error('Failed to delete shipping method:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// TAX RULES
+// ===========================================
+
+const TAX_RULE_FIELDS = ['name', 'country', 'region', 'rate', 'appliesToShipping', 'isActive'];
+
+router.get('/tax-rules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const rules = await TaxRule.find().sort({ country: 1, region: 1 });
+    res.json(rules);
+  } catch (error) {
+    console.error('Failed to fetch tax rules:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/tax-rules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const rule = new TaxRule(pickFields(req.body, TAX_RULE_FIELDS));
+    await rule.save();
+    res.status(201).json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    console.error('Failed to create tax rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/tax-rules/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Tax rule not found' });
+
+    rule.set(pickFields(req.body, TAX_RULE_FIELDS));
+    await rule.save();
+    res.json(rule);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    console.error('Failed to update tax rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Orders keep their own tax lines, so deleting a rule does not change them
+router.delete('/tax-rules/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ message: 'Tax rule not found' });
+    res.json({ message: 'Tax rule deleted' });
+  } catch (error) {
+    console.error('Failed to delete tax rule:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// WISHLIST DEMAND
+// ===========================================
+
+// Most wished-for products, with how many of those customers have since
+// bought them. ?unpurchased=true keeps only products nobody on a wishlist
+// has bought yet.
+router.get('/wishlist-demand', authMiddleware, adminMiddleware, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  try {
+    const demand = await Wishlist.aggregate([
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.productId',
+          wishlistCount: { $sum: 1 },
+          wishers: { $addToSet: '$userId' },
+          lastAddedAt: { $max: '$items.addedAt' }
+        }
+      },
       {
         $lookup: {
-          from: "products",
-          localField: "purchaseHistory.productId",
-          foreignField: "_id",
-          as: "product"
+          from: 'orders',
+          let: { productId: '$_id', wishers: '$wishers' },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $in: ['$$productId', '$items.productId'] },
+                    { $in: ['$userId', '$$wishers'] },
+                    { $in: ['$status', Order.PAID_STATUSES] }
+                  ]
+                }
+              }
+            },
+            { $group: { _id: '$userId' } }
+          ],
+          as: 'buyers'
         }
       },
-      { $unwind: "$product" },
+      {
+        $project: {
+          wishlistCount: 1,
+          lastAddedAt: 1,
+          purchasedCount: { $size: '$buyers' },
+          notPurchasedCount: { $subtract: ['$wishlistCount', { $size: '$buyers' }] }
+        }
+      },
+      ...(req.query.unpurchased === 'true' ? [{ $match: { purchasedCount: 0 } }] : []),
+      { $sort: { notPurchasedCount: -1, wishlistCount: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
       {
         $project: {
           _id: 0,
-          orderId: "$purchaseHistory._id",
-          userId: "$_id",
-          userName: "$name",
-          userEmail: "$email",
-          productId: "$product._id",
-          productName: "$product.name",
-          productPrice: "$product.price",
-          quantity: "$purchaseHistory.quantity",
-          total: { $multiply: ["$product.price", "$purchaseHistory.quantity"] },
-          date: "$purchaseHistory.date"
+          productId: '$_id',
+          name: '$product.name',
+          category: '$product.category',
+          price: '$product.price',
+          stock: '$product.stock',
+          isActive: '$product.isActive',
+          wishlistCount: 1,
+          purchasedCount: 1,
+          notPurchasedCount: 1,
+          lastAddedAt: 1
+        }
+      }
+    ]);
+
+    res.json(demand);
+  } catch (error) {
+    console.error('Failed to fetch wishlist demand:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// CART RECOVERY
+// ===========================================
+
+// How abandoned cart emails are doing, per reminder stage. Amounts in major units.
+router.get('/cart-recovery', authMiddleware, adminMiddleware, async (req, res) => {
+  const days = parseInt(req.query.days) || 30;
+
+  try {
+    const stages = await CartRecoveryEmail.aggregate([
+      { $match: { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) } } },
+      {
+        $lookup: {
+          from: 'orders',
+          localField: 'convertedOrderId',
+          foreignField: '_id',
+          as: 'order'
         }
       },
-      { $sort: { date: -1 } }
+      {
+        $group: {
+          _id: '$stage',
+          sent: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 0, 1] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          converted: { $sum: { $cond: [{ $eq: ['$status', 'converted'] }, 1, 0] } },
+          withCoupon: { $sum: { $cond: [{ $ifNull: ['$couponId', false] }, 1, 0] } },
+          cartValue: { $sum: '$cartValue' },
+          recoveredRevenue: { $sum: { $ifNull: [{ $arrayElemAt: ['$order.total', 0] }, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
     ]);
 
-    res.json(orders);
+    res.json({
+      days,
+      stages: stages.map(stage => ({
+        stage: stage._id + 1,
+        sent: stage.sent,
+        failed: stage.failed,
+        converted: stage.converted,
+        conversionRate: stage.sent ? Math.round(stage.converted / stage.sent * 1000) / 10 : 0,
+        withCoupon: stage.withCoupon,
+        cartValue: fromMinorUnits(stage.cartValue),
+        recoveredRevenue: fromMinorUnits(stage.recoveredRevenue)
+      }))
+    });
   } catch (error) {
-    console.error('Failed to fetch orders:', error);
+    console.error('Failed to fetch cart recovery stats:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// LOW STOCK
+// ===========================================
+
+// Products at or below their reorder point, or selling fast enough to run
+// out soon. ?days= sets the sales window, ?all=true lists every product.
+router.get('/low-stock', authMiddleware, adminMiddleware, async (req, res) => {
+  const days = Math.max(parseInt(req.query.days) || 30, 1);
+
+  try {
+    const products = await getStockReport({ days, lowOnly: req.query.all !== 'true' });
+    res.json({ days, count: products.length, products });
+  } catch (error) {
+    console.error('Failed to build low stock report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a product's reorder point and usual reorder quantity. Send null to
+// clear the reorder point and use the default again.
+router.put('/products/:id/reorder-point', authMiddleware, adminMiddleware, async (req, res) => {
+  const { reorderPoint, reorderQuantity } = req.body;
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    if (reorderPoint !== undefined) product.reorderPoint = reorderPoint;
+    if (reorderQuantity !== undefined) product.reorderQuantity = reorderQuantity;
+    await product.save();
+
+    res.json({
+      productId: product._id,
+      reorderPoint: product.reorderPoint,
+      reorderQuantity: product.reorderQuantity
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    console.error('Failed to update reorder point:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// SUBSCRIPTIONS
+// ===========================================
+
+// Subscribe-and-save subscriptions, soonest renewal first. ?status= filters.
+router.get('/subscriptions', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const query = {};
+    if (status) query.status = status;
+
+    const subscriptions = await Subscription.find(query)
+      .populate('userId', 'name email')
+      .populate('productId', 'name')
+      .populate('lastOrderId', 'orderNumber status total')
+      .sort({ nextRenewalAt: 1 });
+
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('Failed to fetch subscriptions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// GIFT CARDS & STORE CREDIT
+// ===========================================
+
+// ?status= filters; ?code= finds one card
+router.get('/gift-cards', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status, code } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (code) query.code = GiftCard.normaliseCode(code);
+
+    const giftCards = await GiftCard.find(query)
+      .populate('purchaserId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json(giftCards);
+  } catch (error) {
+    console.error('Failed to fetch gift cards:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One card with its full ledger. ledgerBalance is the balance worked out
+// from the ledger; it should always equal balance.
+router.get('/gift-cards/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.id).populate('purchaserId', 'name email');
+    if (!giftCard) return res.status(404).json({ message: 'Gift card not found' });
+
+    const [entries, balanceFromLedger] = await Promise.all([
+      LedgerEntry.find({ giftCardId: giftCard._id }).populate('orderId', 'orderNumber').sort({ createdAt: 1 }),
+      ledgerBalance({ giftCardId: giftCard._id })
+    ]);
+
+    res.json({ giftCard, entries, ledgerBalance: balanceFromLedger, balanced: balanceFromLedger === giftCard.balance });
+  } catch (error) {
+    console.error('Failed to fetch gift card:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Issue a card without payment. Amount in cents.
+// Body: { amount, recipientEmail, recipientName, message, expiresAt }
+router.post('/gift-cards', authMiddleware, adminMiddleware, async (req, res) => {
+  const { amount, recipientEmail, recipientName, message, expiresAt } = req.body;
+
+  try {
+    const giftCard = await issueGiftCard({ amount, recipientEmail, recipientName, message, expiresAt, adminId: req.user.id });
+    res.status(201).json(giftCard);
+  } catch (error) {
+    console.error('Failed to issue gift card:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Stop a card being used (e.g. reported stolen). The balance is kept.
+router.put('/gift-cards/:id/disable', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findOneAndUpdate(
+      { _id: req.params.id, status: 'active' },
+      { status: 'disabled' },
+      { new: true }
+    );
+    if (!giftCard) return res.status(404).json({ message: 'Active gift card not found' });
+    res.json(giftCard);
+  } catch (error) {
+    console.error('Failed to disable gift card:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A customer's store credit with its full ledger
+router.get('/users/:id/store-credit', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email storeCreditBalance');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const [entries, balanceFromLedger] = await Promise.all([
+      LedgerEntry.find({ account: 'store_credit', userId: user._id }).populate('orderId', 'orderNumber').sort({ createdAt: 1 }),
+      ledgerBalance({ userId: user._id })
+    ]);
+
+    res.json({
+      user,
+      balance: user.storeCreditBalance,
+      entries,
+      ledgerBalance: balanceFromLedger,
+      balanced: balanceFromLedger === user.storeCreditBalance
+    });
+  } catch (error) {
+    console.error('Failed to fetch store credit:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grant store credit (goodwill, compensation, ...). Amount in cents.
+// Body: { amount, note }
+router.post('/users/:id/store-credit', authMiddleware, adminMiddleware, async (req, res) => {
+  const amount = parseInt(req.body.amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return res.status(400).json({ message: 'Amount must be a positive number of cents' });
+  }
+
+  try {
+    const user = await User.exists({ _id: req.params.id });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const entry = await postEntry({
+      userId: req.params.id,
+      type: 'issue',
+      amount,
+      note: req.body.note || 'Granted by admin',
+      createdBy: req.user.id
+    });
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Failed to grant store credit:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// ===========================================
+// LOYALTY
+// ===========================================
+
+const LOYALTY_PROGRAM_FIELDS = [
+  'isActive', 'pointsPerDollar', 'bookingPoints', 'reviewPoints', 'pointsPerDollarOff',
+  'minRedeemPoints', 'maxRedeemPercent', 'tierWindowDays', 'tiers'
+];
+
+router.get('/loyalty-program', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json(await LoyaltyProgram.getProgram());
+  } catch (error) {
+    console.error('Failed to fetch loyalty program:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Earn/burn rules and tiers. Changes to tiers reach customers with their
+// next order or refund, or the nightly tier refresh.
+router.put('/loyalty-program', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const program = await LoyaltyProgram.getProgram();
+    program.set(pickFields(req.body, LOYALTY_PROGRAM_FIELDS));
+    await program.save();
+    res.json(program);
+  } catch (error) {
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message });
+    console.error('Failed to update loyalty program:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A customer's points, tier and history. Query: page, limit
+router.get('/users/:id/loyalty', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const [summary, history] = await Promise.all([
+      getLoyaltySummary(req.params.id),
+      getLoyaltyHistory(req.params.id, req.query)
+    ]);
+    res.json({ ...summary, ...history });
+  } catch (error) {
+    console.error('Failed to fetch loyalty points:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Add or take away points by hand. Body: { points, note }
+router.post('/users/:id/loyalty', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const user = await adjustPoints({
+      userId: req.params.id,
+      points: req.body.points,
+      note: req.body.note,
+      adminId: req.user.id
+    });
+    res.status(201).json({ points: user.loyalty.points });
+  } catch (error) {
+    console.error('Failed to adjust loyalty points:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// ===========================================
+// BOOKINGS
+// ===========================================
+
+// Record how an appointment went. Completing one earns the client their
+// booking points. Body: { status }
+router.put('/bookings/:id/status', authMiddleware, adminMiddleware, async (req, res) => {
+  const { status } = req.body;
+  if (!Booking.schema.path('status').enumValues.includes(status)) {
+    return res.status(400).json({ message: 'Invalid booking status' });
+  }
+
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ message: 'Booking not found' });
+
+    booking.status = status;
+    booking.completedAt = status === 'completed' ? booking.completedAt || new Date() : undefined;
+    await booking.save();
+
+    const pointsAwarded = status === 'completed' && Boolean(await awardBookingPoints(booking));
+
+    res.json({ booking, pointsAwarded });
+  } catch (error) {
+    console.error('Failed to update booking status:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// REFERRALS
+// ===========================================
+
+// Conversion report. Query: from, to (sign-up dates)
+router.get('/referrals/report', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json(await getReferralReport(req.query));
+  } catch (error) {
+    console.error('Failed to build referral report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ?status= and ?rejectReason= filters
+router.get('/referrals', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status, rejectReason } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (rejectReason) query.rejectReason = rejectReason;
+
+    const referrals = await Referral.find(query)
+      .populate('referrerId', 'name email')
+      .populate('refereeId', 'name email')
+      .populate('orderId', 'orderNumber total')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json(referrals);
+  } catch (error) {
+    console.error('Failed to fetch referrals:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// SHIPMENTS
+// ===========================================
+
+// Carriers with an integration (labels and automatic tracking). Others can
+// still be used by typing in the tracking number.
+router.get('/carriers', authMiddleware, adminMiddleware, (req, res) => {
+  res.json(listCarriers());
+});
+
+// ?status= and ?carrier= filters
+router.get('/shipments', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { status, carrier } = req.query;
+    const query = {};
+    if (status) query.status = status;
+    if (carrier) query.carrier = carrier;
+
+    const shipments = await Shipment.find(query)
+      .populate('orderId', 'orderNumber status email')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json(shipments);
+  } catch (error) {
+    console.error('Failed to fetch shipments:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+router.get('/orders/:id/shipments', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const shipments = await Shipment.find({ orderId: req.params.id }).sort({ createdAt: 1 });
+    res.json(shipments);
+  } catch (error) {
+    console.error('Failed to fetch shipments:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Send some or all of an order. Leave out trackingNumber to have the
+// carrier create the label; leave out items to send everything left.
+// Body: { carrier, trackingNumber, trackingUrl, items: [{ orderItemId, quantity }] }
+router.post('/orders/:id/shipments', authMiddleware, adminMiddleware, async (req, res) => {
+  const { carrier, trackingNumber, trackingUrl, items } = req.body;
+
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const shipment = await createShipment({ order, carrier, trackingNumber, trackingUrl, items, actor: req.user.id });
+    res.status(201).json(shipment);
+  } catch (error) {
+    console.error('Failed to create shipment:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Add a tracking event by hand, for carriers without automatic tracking.
+// Body: { status, description, location, occurredAt }
+router.post('/shipments/:id/events', authMiddleware, adminMiddleware, async (req, res) => {
+  const { status, description, location, occurredAt } = req.body;
+  if (!Shipment.STATUSES.includes(status)) {
+    return res.status(400).json({ message: 'Invalid shipment status' });
+  }
+
+  try {
+    const shipment = await Shipment.findById(req.params.id);
+    if (!shipment) return res.status(404).json({ message: 'Shipment not found' });
+
+    await applyTrackingEvents(shipment, [{ status, description, location, occurredAt: occurredAt || new Date() }]);
+    res.json(shipment);
+  } catch (error) {
+    console.error('Failed to add tracking event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// CATALOG IMPORT / EXPORT
+// ===========================================
+
+// CSV uploads are parsed straight from memory and never written to disk
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter: (req, file, cb) => {
+    const isCsv = /\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype);
+    cb(isCsv ? null : new Error('Only .csv files can be imported'), isCsv);
+  }
+});
+
+// Create or update products from a CSV file (multipart field "file"), in
+// the same format as the export. ?dryRun=true only checks the file.
+// ?skipInvalid=true imports the valid rows even when others have errors.
+router.post('/products/import', authMiddleware, adminMiddleware, (req, res, next) => {
+  csvUpload.single('file')(req, res, (err) => {
+    if (err) return res.status(400).json({ message: err.message });
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'Upload a CSV file in the "file" field' });
+
+  try {
+    const report = await importProducts(req.file.buffer, {
+      dryRun: req.query.dryRun === 'true',
+      skipInvalid: req.query.skipInvalid === 'true'
+    });
+
+    // Nothing was written because some rows are invalid
+    const status = !report.dryRun && !report.applied ? 422 : 200;
+    res.status(status).json(report);
+  } catch (error) {
+    console.error('Failed to import products:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// The full catalog as CSV
+router.get('/products/export', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="products-${date}.csv"`);
+
+    await exportProducts(res);
+    res.end();
+  } catch (error) {
+    console.error('Failed to export products:', error);
+    if (res.headersSent) return res.end();
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// CATEGORIES
+// ===========================================
+
+// Slugs are worked out from the name when left out. Products are filed
+// with categoryId through the product endpoints.
+const CATEGORY_FIELDS = ['name', 'slug', 'description', 'parent', 'position', 'isActive'];
+
+// The full tree, hidden categories included
+router.get('/categories', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    res.json(await getCategoryTree({ includeInactive: true }));
+  } catch (error) {
+    console.error('Failed to fetch categories:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/categories', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const category = await saveCategory(new Category(), pickFields(req.body, CATEGORY_FIELDS));
+    res.status(201).json(category);
+  } catch (error) {
+    console.error('Failed to create category:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Renaming or moving a category updates its subcategories and the
+// category names on its products
+router.put('/categories/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    res.json(await saveCategory(category, pickFields(req.body, CATEGORY_FIELDS)));
+  } catch (error) {
+    console.error('Failed to update category:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+router.delete('/categories/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    await deleteCategory(req.params.id);
+    res.json({ message: 'Category deleted' });
+  } catch (error) {
+    console.error('Failed to delete category:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Upload the category image (multipart field "image"), replacing any
+// earlier one
+router.put('/categories/:id/image', authMiddleware, adminMiddleware, imageUpload('image', 1), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ message: 'Upload an image in the "image" field' });
+  }
+
+  let stored;
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    stored = await storeImage(req.files[0].buffer, { folder: `categories/${category._id}` });
+    const previous = category.image;
+    category.image = stored;
+    await category.save();
+
+    await removeImage(previous);
+    res.json(category);
+  } catch (error) {
+    await removeImage(stored);
+    console.error('Failed to upload category image:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+router.delete('/categories/:id/image', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ message: 'Category not found' });
+
+    const previous = category.image;
+    category.image = undefined;
+    await category.save();
+
+    await removeImage(previous);
+    res.json(category);
+  } catch (error) {
+    console.error('Failed to remove category image:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// BRANDS
+// ===========================================
+
+// Products are linked with brandId (or the brand name) through the
+// product endpoints
+const BRAND_FIELDS = ['name', 'slug', 'story', 'country', 'isActive'];
+
+// Every brand, hidden ones included, with its product count
+router.get('/brands', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const [brands, counts] = await Promise.all([
+      Brand.find().collation({ locale: 'en', strength: 2 }).sort({ name: 1 }).lean(),
+      Product.aggregate([
+        { $match: { brandId: { $ne: null } } },
+        { $group: { _id: '$brandId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const byBrand = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+    res.json(brands.map(brand => ({ ...brand, productCount: byBrand.get(brand._id.toString()) || 0 })));
+  } catch (error) {
+    console.error('Failed to fetch brands:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/brands', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const brand = await saveBrand(new Brand(), pickFields(req.body, BRAND_FIELDS));
+    res.status(201).json(brand);
+  } catch (error) {
+    console.error('Failed to create brand:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Renaming a brand also renames it on its products
+router.put('/brands/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) return res.status(404).json({ message: 'Brand not found' });
+
+    res.json(await saveBrand(brand, pickFields(req.body, BRAND_FIELDS)));
+  } catch (error) {
+    console.error('Failed to update brand:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+router.delete('/brands/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    await deleteBrand(req.params.id);
+    res.json({ message: 'Brand deleted' });
+  } catch (error) {
+    console.error('Failed to delete brand:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+// Upload the brand logo (multipart field "logo"), replacing any earlier one
+router.put('/brands/:id/logo', authMiddleware, adminMiddleware, imageUpload('logo', 1), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ message: 'Upload an image in the "logo" field' });
+  }
+
+  let stored;
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) return res.status(404).json({ message: 'Brand not found' });
+
+    stored = await storeImage(req.files[0].buffer, { folder: `brands/${brand._id}` });
+    const previous = brand.logo;
+    brand.logo = stored;
+    await brand.save();
+
+    await removeImage(previous);
+    res.json(brand);
+  } catch (error) {
+    await removeImage(stored);
+    console.error('Failed to upload brand logo:', error);
+    res.status(error.status || 500).json({ message: error.status ? error.message : 'Server error' });
+  }
+});
+
+router.delete('/brands/:id/logo', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) return res.status(404).json({ message: 'Brand not found' });
+
+    const previous = brand.logo;
+    brand.logo = undefined;
+    await brand.save();
+
+    await removeImage(previous);
+    res.json(brand);
+  } catch (error) {
+    console.error('Failed to remove brand logo:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
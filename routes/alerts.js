@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const ProductAlert = require('../models/ProductAlert');
+const authMiddleware = require('../middleware/authMiddleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuthMiddleware');
+const { subscribe, cancelAlert } = require('../services/productAlertService');
+
+const subscribeLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20,
+  message: { message: 'Too many alert requests, please try again later' }
+});
+
+// Watch a product for a restock or a price drop.
+// Body: { productId, type: 'back_in_stock' | 'price_drop', targetPrice, email }
+// Signed-in users can leave out the email; guests must give one.
+router.post('/', subscribeLimiter, optionalAuthMiddleware, async (req, res) => {
+  const { productId, type, targetPrice } = req.body;
+  const email = req.body.email || req.user?.email;
+
+  if (!productId) return res.status(400).json({ message: 'Product ID required' });
+  if (!email) return res.status(400).json({ message: 'Email is required' });
+
+  try {
+    const alert = await subscribe({ productId, type, targetPrice, email, userId: req.user?.id });
+    res.status(201).json({ message: 'We will let you know', alert });
+  } catch (err) {
+    console.error('Error creating product alert:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.get('/mine', authMiddleware, async (req, res) => {
+  try {
+    const alerts = await ProductAlert.find({ userId: req.user.id, status: 'active' })
+      .select('-cancelToken')
+      .populate('productId', 'name price stock productImage')
+      .sort({ createdAt: -1 });
+    res.json(alerts);
+  } catch (err) {
+    console.error('Error fetching product alerts:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    await cancelAlert({ _id: req.params.id, userId: req.user.id });
+    res.json({ message: 'Alert cancelled' });
+  } catch (err) {
+    console.error('Error cancelling product alert:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Target of the "stop these alerts" link in alert emails
+router.get('/cancel/:token', async (req, res) => {
+  try {
+    await cancelAlert({ cancelToken: req.params.token });
+    res.json({ message: 'Alert cancelled' });
+  } catch (err) {
+    console.error('Error cancelling product alert:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+module.exports = router;
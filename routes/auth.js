@@ -5,6 +5,8 @@ const rateLimit = require('express-rate-limit');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendVerificationEmail, verifyEmail } = require('../services/emailVerificationService');
+const { recordReferral } = require('../services/referralService');
 
 const authMiddleware = require('../middleware/authMiddleware');
 
@@ -16,6 +18,12 @@ const passwordResetLimiter = rateLimit({
   message: { error: 'Too many password reset attempts' }
 });
 
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: { error: 'Too many verification emails requested' }
+});
+
 const transporter = nodemailer.createTransport({
   service: 'gmail',
   auth: {
@@ -53,9 +61,10 @@ const sendOTPEmail = async (email, otp) => {
 
 
 
-// Register
+// Register. An optional referralCode links the account to the customer
+// who invited them.
 router.post('/register', async (req, res) => {
-  const { name, email, password,role } = req.body;
+  const { name, email, password, referralCode } = req.body;
 
   try {
     let user = await User.findOne({ email });
@@ -64,9 +73,25 @@ router.post('/register', async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
 
-    user = new User({ name, email, passwordHash,role });
+    user = new User({ name, email, passwordHash, signupIp: req.ip });
     await user.save();
 
+    // Guest orders placed with this email are attached once the customer
+    // shows the address is theirs
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('Failed to send verification email:', err);
+    }
+
+    if (referralCode) {
+      try {
+        await recordReferral({ user, code: referralCode, ip: req.ip });
+      } catch (err) {
+        console.error('Failed to record referral:', err);
+      }
+    }
+
     const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1d' });
     res.json({ token, user: { id: user._id, name: user.name, email: user.email } });
   } catch (err) {
@@ -85,6 +110,8 @@ router.post('/login', async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.passwordHash);
     if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
 
+    await User.updateOne({ _id: user._id }, { lastLoginIp: req.ip });
+
     const token = jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1d' });
     res.json({ token, user: { id: user._id, name: user.name, email: user.email,role:user.role } });
   } catch (err) {
@@ -93,6 +120,31 @@ router.post('/login', async (req, res) => {
 });
 
 
+// Target of the link in the verification email; no sign-in needed
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { claimedOrders } = await verifyEmail(req.query.token);
+    res.json({ success: true, message: 'Your email address is confirmed', claimedOrders });
+  } catch (err) {
+    console.error('Email verification error:', err.message);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/resend-verification', authMiddleware, verificationEmailLimiter, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user.emailVerifiedAt) return res.status(400).json({ message: 'Your email address is already confirmed' });
+
+    await sendVerificationEmail(user);
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.put('/preferences', authMiddleware, async (req, res) => {
   const userId = req.user.id;
   const { hairType, skinType, beautyGoals, priceRange } = req.body;
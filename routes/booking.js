@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Booking = require('../models/Booking');
 const { sendReminderEmail } = require('../services/reminderService');
+const optionalAuthMiddleware = require('../middleware/optionalAuthMiddleware');
 
 // POST /api/booking — Create a new booking
 
@@ -26,7 +27,9 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.post('/create', async (req, res) => {
+// Signed-in clients have the booking linked to their account, so it can
+// earn loyalty points once completed
+router.post('/create', optionalAuthMiddleware, async (req, res) => {
   const {
     fullName,
     phoneNumber,
@@ -52,7 +55,8 @@ router.post('/create', async (req, res) => {
       date,
       timeSlot,
       specialRequests,
-      reminder
+      reminder,
+      userId: req.user?.id
     });
 
     await newBooking.save();
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { listBrands, getBrandPage } = require('../services/brandService');
+
+// Active brands with product counts and their best-rated products
+// (?topProducts=N, 4 by default)
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listBrands({ topProducts: req.query.topProducts }));
+  } catch (err) {
+    console.error('Failed to fetch brands:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One brand by slug (or id). All its products come from
+// /api/products/search?brand=<slug>.
+router.get('/:slug', async (req, res) => {
+  try {
+    res.json(await getBrandPage(req.params.slug, { topProducts: req.query.topProducts }));
+  } catch (err) {
+    console.error('Failed to fetch brand:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { getCategoryTree, getCategoryPage } = require('../services/categoryService');
+
+// The category tree with product counts per node
+router.get('/', async (req, res) => {
+  try {
+    res.json(await getCategoryTree());
+  } catch (err) {
+    console.error('Failed to fetch categories:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// One category by slug (or id), with breadcrumbs and subcategories. Its
+// products come from /api/products/search?category=<slug>.
+router.get('/:slug', async (req, res) => {
+  try {
+    res.json(await getCategoryPage(req.params.slug));
+  } catch (err) {
+    console.error('Failed to fetch category:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+module.exports = router;
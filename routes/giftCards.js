@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const GiftCard = require('../models/GiftCard');
+const optionalAuthMiddleware = require('../middleware/optionalAuthMiddleware');
+const { purchaseGiftCard } = require('../services/giftCardService');
+
+const purchaseLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { message: 'Too many gift card purchases, please try again later' }
+});
+
+// Stops codes being guessed by trying them one after another
+const balanceLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { message: 'Too many balance checks, please try again later' }
+});
+
+// Buy a gift card. Amount is in cents. The code is emailed to the
+// recipient (or the buyer) once the payment goes through.
+// Body: { amount, recipientEmail, recipientName, message, email }
+router.post('/purchase', purchaseLimiter, optionalAuthMiddleware, async (req, res) => {
+  const { amount, recipientEmail, recipientName, message } = req.body;
+
+  try {
+    const { giftCard, clientSecret } = await purchaseGiftCard({
+      amount,
+      recipientEmail,
+      recipientName,
+      message,
+      purchaserId: req.user?.id,
+      purchaserEmail: req.body.email || req.user?.email
+    });
+
+    res.status(201).json({
+      clientSecret,
+      giftCard: {
+        id: giftCard._id,
+        amount: giftCard.initialAmount,
+        currency: giftCard.currency,
+        recipientEmail: giftCard.recipientEmail,
+        expiresAt: giftCard.expiresAt
+      }
+    });
+  } catch (err) {
+    console.error('Gift card purchase error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Body: { code }. Sent in the body so codes stay out of URLs and logs.
+router.post('/balance', balanceLimiter, async (req, res) => {
+  if (!req.body.code) return res.status(400).json({ message: 'Gift card code required' });
+
+  try {
+    const giftCard = await GiftCard.findOne({ code: GiftCard.normaliseCode(req.body.code) });
+    if (!giftCard || giftCard.status === 'pending') {
+      return res.status(404).json({ message: 'Gift card not found' });
+    }
+
+    res.json({
+      code: giftCard.maskedCode,
+      balance: giftCard.balance,
+      currency: giftCard.currency,
+      status: giftCard.status,
+      expiresAt: giftCard.expiresAt
+    });
+  } catch (err) {
+    console.error('Gift card balance error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
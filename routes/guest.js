@@ -0,0 +1,241 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const GuestCart = require('../models/GuestCart');
+const Order = require('../models/Order');
+const guestCartMiddleware = require('../middleware/guestCartMiddleware');
+const { priceCart, createGuestCheckout } = require('../services/checkoutService');
+const { normaliseCode } = require('../services/couponService');
+const { isSameCartLine, withoutCartLine, parseQuantity } = require('../utils/cart');
+
+// Shopping without an account. The cart is created on the first add and
+// identified by the token returned with it, which the client sends back in
+// the X-Guest-Token header.
+
+const orderLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: { message: 'Too many order lookups, please try again later' }
+});
+
+router.use(guestCartMiddleware);
+
+const cartResponse = (guestCart) => ({
+  token: guestCart ? guestCart.token : null,
+  cart: guestCart ? guestCart.cart : []
+});
+
+router.get('/cart', async (req, res) => {
+  try {
+    if (req.guestCart) await req.guestCart.populate('cart.productId');
+    res.json(cartResponse(req.guestCart));
+  } catch (err) {
+    console.error('Error fetching guest cart:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/cart/add', async (req, res) => {
+  const { productId, variantId } = req.body;
+  const quantity = parseQuantity(req.body.quantity ?? 1);
+
+  if (!productId) return res.status(400).json({ message: 'Product ID required' });
+  if (!quantity) return res.status(400).json({ message: 'Quantity must be a whole number of at least 1' });
+
+  try {
+    const guestCart = req.guestCart || new GuestCart();
+
+    const cartItem = guestCart.cart.find(item => isSameCartLine(item, productId, variantId));
+    if (cartItem) {
+      cartItem.quantity = quantity;
+    } else {
+      guestCart.cart.push({ productId, variantId, quantity });
+    }
+
+    await guestCart.save();
+    res.json({ message: 'Product added to cart', ...cartResponse(guestCart) });
+  } catch (err) {
+    console.error('Error adding to guest cart:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/cart/remove', async (req, res) => {
+  const { productId, variantId } = req.body;
+
+  if (!productId) return res.status(400).json({ message: 'Product ID required' });
+  if (!req.guestCart) return res.status(404).json({ message: 'Cart not found' });
+
+  try {
+    req.guestCart.cart = withoutCartLine(req.guestCart.cart, productId, variantId);
+    await req.guestCart.save();
+    res.json({ message: 'Product removed from cart', ...cartResponse(req.guestCart) });
+  } catch (err) {
+    console.error('Error removing from guest cart:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.post('/cart/empty', async (req, res) => {
+  if (!req.guestCart) return res.json({ success: true, message: 'Cart emptied successfully', cart: [] });
+
+  try {
+    req.guestCart.cart = [];
+    req.guestCart.cartCouponCode = undefined;
+    await req.guestCart.save();
+    res.json({ success: true, message: 'Cart emptied successfully', ...cartResponse(req.guestCart) });
+  } catch (err) {
+    console.error('Error emptying guest cart:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cart totals as checkout will charge them (amounts in cents).
+// Optional query: country, region, postalCode, shippingMethodId.
+router.get('/cart/summary', async (req, res) => {
+  const { country, region, postalCode, shippingMethodId } = req.query;
+
+  if (!req.guestCart) return res.status(400).json({ message: 'Your cart is empty' });
+
+  try {
+    const summary = await priceCart(req.guestCart.cart, {
+      couponCode: req.guestCart.cartCouponCode,
+      email: req.guestCart.email,
+      shippingAddress: country ? { country, region, postalCode } : undefined,
+      shippingMethodId
+    });
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error('Guest cart summary error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/cart/coupon/apply', async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) return res.status(400).json({ message: 'Coupon code required' });
+  if (!req.guestCart) return res.status(400).json({ message: 'Your cart is empty' });
+
+  try {
+    const summary = await priceCart(req.guestCart.cart, { couponCode: code, email: req.guestCart.email });
+    if (summary.couponError) {
+      return res.status(400).json({ message: summary.couponError });
+    }
+
+    req.guestCart.cartCouponCode = normaliseCode(code);
+    await req.guestCart.save();
+
+    res.json({ success: true, message: 'Coupon applied', summary });
+  } catch (err) {
+    console.error('Guest apply coupon error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/cart/coupon/remove', async (req, res) => {
+  if (!req.guestCart) return res.json({ success: true, message: 'Coupon removed' });
+
+  try {
+    req.guestCart.cartCouponCode = undefined;
+    await req.guestCart.save();
+    res.json({ success: true, message: 'Coupon removed' });
+  } catch (err) {
+    console.error('Guest remove coupon error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Body: { email, shippingAddress, billingAddress, shippingMethodId, giftCardCode }
+// clientSecret is null when a gift card covered the whole order.
+router.post('/checkout', async (req, res) => {
+  const { email, shippingAddress, billingAddress, shippingMethodId, giftCardCode } = req.body;
+
+  if (!req.guestCart) return res.status(400).json({ message: 'Your cart is empty' });
+
+  try {
+    const { order, clientSecret, reservedUntil } = await createGuestCheckout(req.guestCart, {
+      email,
+      shippingAddress,
+      billingAddress,
+      shippingMethodId,
+      giftCardCode
+    });
+
+    res.json({
+      clientSecret,
+      reservedUntil,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        email: order.email,
+        items: order.items,
+        currency: order.currency,
+        subtotal: order.subtotal,
+        discountTotal: order.discountTotal,
+        shippingAddress: order.shippingAddress,
+        shipping: order.shipping,
+        shippingTotal: order.shippingTotal,
+        taxLines: order.taxLines,
+        taxTotal: order.taxTotal,
+        total: order.total,
+        credits: order.credits,
+        creditTotal: order.creditTotal,
+        amountDue: order.amountDue(),
+        status: order.status
+      }
+    });
+  } catch (err) {
+    console.error('Guest checkout error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', errors: err.details });
+  }
+});
+
+// Order status page for guests, reached from the link in their receipt:
+// /orders/lookup?email=...&orderNumber=...
+router.get('/orders/lookup', orderLookupLimiter, async (req, res) => {
+  const { email, orderNumber } = req.query;
+
+  if (!email || !orderNumber) {
+    return res.status(400).json({ message: 'Email and order number are required' });
+  }
+
+  try {
+    const order = await Order.findOne({
+      email: String(email).trim().toLowerCase(),
+      orderNumber: String(orderNumber).trim().toUpperCase()
+    });
+    // Same answer for a wrong email as for a wrong number
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    res.json({
+      order: {
+        orderNumber: order.orderNumber,
+        date: order.createdAt,
+        status: order.status,
+        statusHistory: order.statusHistory.map(({ to, at }) => ({ to, at })),
+        items: order.items.map(({ name, variantName, unitPrice, quantity, lineTotal }) => ({
+          name,
+          variantName,
+          unitPrice,
+          quantity,
+          lineTotal
+        })),
+        currency: order.currency,
+        subtotal: order.subtotal,
+        discountTotal: order.discountTotal,
+        shippingAddress: order.shippingAddress,
+        shipping: order.shipping,
+        shippingTotal: order.shippingTotal,
+        taxTotal: order.taxTotal,
+        total: order.total,
+        refundedTotal: order.refundedTotal
+      }
+    });
+  } catch (err) {
+    console.error('Order lookup error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,56 +1,132 @@
 // routes/payments.js
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { v4: uuidv4 } = require('uuid');
+const stripe = require('../services/stripe');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { createCheckout } = require('../services/checkoutService');
+const { handleStripeEvent } = require('../services/paymentService');
+const { refundOrder } = require('../services/refundService');
 
-// Create payment intent
-router.post('/create-payment-intent', async (req, res) => {
+// Start checkout for the signed-in user's cart. The amount is always
+// computed on the server from the cart and current product prices.
+// Body: { addressId | shippingAddress, billingAddressId | billingAddress, shippingMethodId,
+//         giftCardCode, useStoreCredit, redeemPoints }
+// clientSecret is null when gift card / store credit covered the whole order.
+const checkout = async (req, res) => {
   try {
-    const { amount, currency = 'usd', metadata = {} } = req.body;
-    
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount * 100, // Stripe uses cents
-      currency,
-      metadata: {
-        ...metadata,
-        idempotencyKey: uuidv4() // Prevent duplicate charges
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const {
+      addressId,
+      shippingAddress,
+      billingAddressId,
+      billingAddress,
+      shippingMethodId,
+      giftCardCode,
+      useStoreCredit,
+      redeemPoints
+    } = req.body;
+    const { order, clientSecret, reservedUntil } = await createCheckout(user, {
+      addressId,
+      shippingAddress,
+      billingAddressId,
+      billingAddress,
+      shippingMethodId,
+      giftCardCode,
+      useStoreCredit,
+      redeemPoints
+    });
+
+    res.json({
+      clientSecret,
+      reservedUntil,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        items: order.items,
+        currency: order.currency,
+        subtotal: order.subtotal,
+        discounts: order.discounts,
+        discountTotal: order.discountTotal,
+        shippingAddress: order.shippingAddress,
+        shipping: order.shipping,
+        shippingTotal: order.shippingTotal,
+        taxLines: order.taxLines,
+        taxTotal: order.taxTotal,
+        total: order.total,
+        credits: order.credits,
+        creditTotal: order.creditTotal,
+        amountDue: order.amountDue(),
+        status: order.status
       }
     });
+  } catch (err) {
+    console.error('Checkout error:', err);
+    res.status(err.status || 500).json({ error: err.message, errors: err.details });
+  }
+};
 
-// console.log("paymentIntent",paymentIntent)
+router.post('/checkout', authMiddleware, checkout);
 
-    res.json({
-      clientSecret: paymentIntent.client_secret
+// Kept for existing clients; any amount sent in the body is ignored
+router.post('/create-payment-intent', authMiddleware, checkout);
+
+// Refund an order (admin). Amount is in cents and defaults to the full
+// remaining balance; method 'manual' records a refund made outside Stripe
+// and 'store_credit' pays it back as credit (onto the gift card the order
+// was paid with first, then the customer's store credit).
+router.post('/refunds', authMiddleware, adminMiddleware, async (req, res) => {
+  const { orderId, amount, reason, method } = req.body;
+
+  if (!orderId) return res.status(400).json({ error: 'Order ID required' });
+
+  try {
+    const order = await Order.findById(orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    const refund = await refundOrder({
+      order,
+      amount,
+      reason,
+      method,
+      actor: req.user.id
     });
+
+    res.status(201).json({ refund, order });
   } catch (err) {
-    console.error('Stripe error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('Refund error:', err);
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Webhook handler for payment confirmation
-router.post('/webhook', express.raw({type: 'application/json'}), (req, res) => {
+router.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
   const sig = req.headers['stripe-signature'];
   const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
   let event;
 
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+    // The global JSON parser has already consumed the stream, so verify
+    // against the raw bytes it kept for us
+    event = stripe.webhooks.constructEvent(req.rawBody || req.body, sig, endpointSecret);
   } catch (err) {
     res.status(400).send(`Webhook Error: ${err.message}`);
     return;
   }
 
-  // Handle successful payment
-  if (event.type === 'payment_intent.succeeded') {
-    const paymentIntent = event.data.object;
-    console.log('Payment succeeded:', paymentIntent.id);
-    // Update your database here
+  try {
+    const result = await handleStripeEvent(event);
+    res.json({ received: true, ...result });
+  } catch (err) {
+    // A non-2xx response makes Stripe retry the delivery later
+    console.error(`Webhook ${event.id} (${event.type}) failed:`, err);
+    res.status(500).json({ received: false, error: 'Webhook processing failed' });
   }
-
-  res.json({ received: true });
 });
 
 module.exports = router;
\ No newline at end of file
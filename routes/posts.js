@@ -1,30 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer')
 const Posts = require('../models/Posts');
+const { imageUpload, storeImage, removeImage } = require('../services/mediaService');
 
-const upload = multer({ dest: 'uploads/' });
-// Create posts
-router.post('/', upload.single('image'), async (req, res) => {
+// Create posts. The optional image goes through the media service and is
+// served from /media.
+router.post('/', imageUpload('image', 1), async (req, res) => {
+  let image = null;
   try {
-
-    console.log('Request file:', req.file); // Add this to debug
-    console.log('Request body:', req.body); // Add this to debug
-
     const { title, content, published } = req.body;
-    const imageUrl = req.file ? `../uploads/${req.file.filename}` : null;
+    const file = req.files && req.files[0];
+    image = file ? await storeImage(file.buffer, { folder: 'posts' }) : null;
 
     const posts = new Posts({
       title,
       content,
-      imageUrl,
+      imageUrl: image ? image.url : null,
+      image: image || undefined,
       published
     });
 
     await posts.save();
     res.status(201).json(posts);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (image) await removeImage(image);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
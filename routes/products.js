@@ -2,6 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { imageUpload, storeImage, removeImage } = require('../services/mediaService');
+const { categoryFilter } = require('../services/categoryService');
+const { brandFilter, getBrandFacets } = require('../services/brandService');
+
+// Most images one upload request can carry
+const MAX_IMAGES_PER_UPLOAD = 10;
 
 // Get all products
 router.get('/', async (req, res) => {
@@ -22,37 +29,39 @@ router.get('/categories', async (req, res) => {
   }
 })
 
-// Get product by id
-router.get('/:id', async (req, res) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    if (!product) return res.status(404).json({ message: 'Product not found' });
-    res.json(product);
-  } catch (err) {
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // Create product (admin protected)
 router.post('/', authMiddleware, async (req, res) => {
-  const { name, category, subcategory, description, price, attributes,productImage } = req.body;
+  const { name, categoryId, category, subcategory, brandId, brand, description, price, attributes,productImage, variants, bundleItems } = req.body;
 
   try {
-    const newProduct = new Product({ name, category, subcategory, description, price, attributes,productImage });
+    const newProduct = new Product({ name, categoryId, category, subcategory, brandId, brand, description, price, attributes,productImage, variants, bundleItems });
     await newProduct.save();
     res.status(201).json(newProduct);
   } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update product (admin protected)
+// Fields kept up to date by the server rather than set by hand. Images go
+// through the /:id/images endpoints; categoryPath follows categoryId.
+const COMPUTED_PRODUCT_FIELDS = ['priceHistory', 'reviewCount', 'averageRating', 'wishlistCount', 'images', 'categoryPath'];
+
+// Update product (admin protected). Saved through the document so the
+// price change is recorded in priceHistory (price-drop alerts rely on it).
 router.put('/:id', authMiddleware, async (req, res) => {
   try {
-    const updated = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updated) return res.status(404).json({ message: 'Product not found' });
-    res.json(updated);
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const updates = { ...req.body };
+    COMPUTED_PRODUCT_FIELDS.forEach(field => delete updates[field]);
+
+    product.set(updates);
+    await product.save();
+    res.json(product);
   } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -62,18 +71,112 @@ router.delete('/:id', authMiddleware, async (req, res) => {
   try {
     const deleted = await Product.findByIdAndDelete(req.params.id);
     if (!deleted) return res.status(404).json({ message: 'Product not found' });
+
+    await Promise.all(deleted.images.map(removeImage));
     res.json({ message: 'Product deleted' });
   } catch (err) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Upload one or more images (multipart field "images"). They are added
+// after the existing ones; body.alt sets the alt text for all of them.
+router.post('/:id/images', authMiddleware, adminMiddleware, imageUpload('images', MAX_IMAGES_PER_UPLOAD), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ message: 'Upload at least one image in the "images" field' });
+  }
+
+  const stored = [];
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    for (const file of req.files) {
+      stored.push(await storeImage(file.buffer, { folder: `products/${product._id}` }));
+    }
+
+    stored.forEach(media => product.images.push({ ...media, alt: req.body.alt || product.name }));
+    await product.save();
+    res.status(201).json(product.images);
+  } catch (err) {
+    await Promise.all(stored.map(removeImage));
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    console.error('Product image upload error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Reorder images; the first becomes the main image. Body: { imageIds }
+// listing every image id in the new order.
+router.put('/:id/images/order', authMiddleware, adminMiddleware, async (req, res) => {
+  const { imageIds } = req.body;
+  if (!Array.isArray(imageIds)) return res.status(400).json({ message: 'imageIds must be an array' });
+
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const current = product.images.map(image => image._id.toString());
+    const wanted = imageIds.map(String);
+    if (wanted.length !== current.length || new Set(wanted).size !== wanted.length || !wanted.every(id => current.includes(id))) {
+      return res.status(400).json({ message: 'imageIds must list each of the product\'s images exactly once' });
+    }
+
+    product.images = wanted.map(id => product.images.id(id).toObject());
+    await product.save();
+    res.json(product.images);
+  } catch (err) {
+    console.error('Product image reorder error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change an image's alt text. Body: { alt }
+router.put('/:id/images/:imageId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ message: 'Image not found' });
 
+    image.alt = req.body.alt;
+    await product.save();
+    res.json(image);
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    console.error('Product image update error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.delete('/:id/images/:imageId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ message: 'Image not found' });
+
+    const removed = image.toObject();
+    product.images.pull(image._id);
+    // With no images left, drop the main image if it was this upload
+    if (product.images.length === 0 && product.productImage === removed.url) {
+      product.productImage = undefined;
+    }
+    await product.save();
+
+    await removeImage(removed);
+    res.json(product.images);
+  } catch (err) {
+    console.error('Product image delete error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+// Products in a category (by slug, id or name) and its subcategories
 router.get('/category/:category', async (req, res) => {
   try {
-    const products = await Product.find({ 
-      category: req.params.category 
-    });
+    const products = await Product.find(
+      await categoryFilter(req.params.category) || { category: req.params.category }
+    );
     
     if (products.length === 0) {
       return res.status(404).json({ 
@@ -97,10 +200,14 @@ router.get('/search', async (req, res) => {
       q,           // General search query
       category,    // Filter by category
       subcategory, // Filter by subcategory
+      brand,       // Filter by brand slug(s), comma separated or repeated
       minPrice,    // Minimum price
       maxPrice,    // Maximum price
       hairType,    // Filter by hair type
       skinType,    // Filter by skin type
+      shade,       // Filter by variant shade
+      size,        // Filter by variant size
+      volume,      // Filter by variant volume
       minRating,   // Minimum average rating
       sortBy,      // Sort field (price, rating, name, createdAt)
       sortOrder,   // Sort order (asc, desc)
@@ -120,14 +227,16 @@ router.get('/search', async (req, res) => {
       ];
     }
 
-    // Category filters
-    if (category) {
-      query.category = { $regex: category, $options: 'i' };
-    }
-
-    if (subcategory) {
-      query.subcategory = { $regex: subcategory, $options: 'i' };
+    // Category filters. A known category (by slug, id or name) matches
+    // everything filed under it; anything else matches the names as typed.
+    const categoryIds = [];
+    for (const [field, value] of [['category', category], ['subcategory', subcategory]]) {
+      if (!value) continue;
+      const match = await categoryFilter(value);
+      if (match) categoryIds.push(match.categoryPath);
+      else query[field] = { $regex: value, $options: 'i' };
     }
+    if (categoryIds.length > 0) query.categoryPath = { $all: categoryIds };
 
     // Price range filter
     if (minPrice || maxPrice) {
@@ -147,11 +256,21 @@ router.get('/search', async (req, res) => {
       query['attributes.skinType'] = { $in: skinTypes };
     }
 
+    // Variant attribute filters (shade, size, volume)
+    const variantMatch = Product.variantAttributeFilter(req.query);
+    if (variantMatch) Object.assign(query, variantMatch);
+
     // Rating filter
     if (minRating) {
       query.averageRating = { $gte: parseFloat(minRating) };
     }
 
+    // Brand counts ignore the brand filter itself, so shoppers can see
+    // what picking another brand would give
+    const facetQuery = { ...query };
+
+    if (brand) Object.assign(query, await brandFilter(brand));
+
     // Build sort options
     let sortOptions = {};
     if (sortBy) {
@@ -196,6 +315,7 @@ router.get('/search', async (req, res) => {
     // Get total count for pagination
     const totalProducts = await Product.countDocuments(query);
     const totalPages = Math.ceil(totalProducts / parseInt(limit));
+    const brands = await getBrandFacets(facetQuery);
 
     // Response
     res.json({
@@ -214,13 +334,20 @@ router.get('/search', async (req, res) => {
           query: q || '',
           category: category || '',
           subcategory: subcategory || '',
+          brand: brand || null,
           priceRange: {
             min: minPrice || null,
             max: maxPrice || null
           },
           hairType: hairType || null,
           skinType: skinType || null,
+          shade: shade || null,
+          size: size || null,
+          volume: volume || null,
           minRating: minRating || null
+        },
+        facets: {
+          brands
         }
       }
     });
@@ -294,11 +421,15 @@ router.get('/search/suggestions', async (req, res) => {
 // Get available filter options
 router.get('/filters', async (req, res) => {
   try {
-    const [categories, subcategories, hairTypes, skinTypes, priceRange] = await Promise.all([
+    const [categories, subcategories, brands, hairTypes, skinTypes, shades, sizes, volumes, priceRange] = await Promise.all([
       Product.distinct('category'),
       Product.distinct('subcategory'),
+      getBrandFacets({ isActive: true }),
       Product.distinct('attributes.hairType'),
       Product.distinct('attributes.skinType'),
+      Product.distinct('variants.attributes.shade'),
+      Product.distinct('variants.attributes.size'),
+      Product.distinct('variants.attributes.volume'),
       Product.aggregate([
         {
           $group: {
@@ -315,8 +446,12 @@ router.get('/filters', async (req, res) => {
       data: {
         categories: categories.filter(Boolean),
         subcategories: subcategories.filter(Boolean),
+        brands,
         hairTypes: hairTypes.flat().filter(Boolean),
         skinTypes: skinTypes.flat().filter(Boolean),
+        shades: shades.filter(Boolean),
+        sizes: sizes.filter(Boolean),
+        volumes: volumes.filter(Boolean),
         priceRange: priceRange[0] || { minPrice: 0, maxPrice: 0 }
       }
     });
@@ -331,5 +466,17 @@ router.get('/filters', async (req, res) => {
   }
 });
 
+// Get product by id. Registered last so it does not swallow /search,
+// /filters etc.
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id)
+      .populate('bundleItems.productId', 'name price productImage slug variants');
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+    res.json(product);
+  } catch (err) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { getPurchaseHistory, getOtherCustomersPurchases, PURCHASED_STATUSES } = require('../services/orderService');
 const authMiddleware = require('../middleware/authMiddleware');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
@@ -11,8 +13,8 @@ const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
 
 // Helper function: count common purchased products between two users
 function countCommonProducts(purchasesA, purchasesB) {
-    const setA = new Set(purchasesA.map(p => p.productId.toString()));
-    const setB = new Set(purchasesB.map(p => p.productId.toString()));
+    const setA = new Set(purchasesA.map(p => p.productId._id.toString()));
+    const setB = new Set(purchasesB.map(p => p.productId._id.toString()));
     let commonCount = 0;
     setA.forEach(productId => {
         if (setB.has(productId)) commonCount++;
@@ -20,23 +22,35 @@ function countCommonProducts(purchasesA, purchasesB) {
     return commonCount;
 }
 
+// Bundles are described to the model by what is in them (bundleItems
+// must be populated with the component names)
+function bundleContents(product) {
+    if (!product.isBundle) return undefined;
+    return product.bundleItems.map(item => `${item.quantity} x ${item.productId ? item.productId.name : 'unknown product'}`);
+}
+
 // Gemini AI Enhanced Recommendation
 router.get('/ai-recommendations', authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
-        const user = await User.findById(userId).populate('purchaseHistory.productId');
+        const user = await User.findById(userId);
         
         if (!user) return res.status(404).json({ message: 'User not found' });
 
+        const purchaseHistory = await getPurchaseHistory(userId);
+
         // Get all available products
-        const allProducts = await Product.find({}).limit(50); // Limit for performance
+        const allProducts = await Product.find({})
+            .populate('bundleItems.productId', 'name')
+            .limit(50); // Limit for performance
         
         // Prepare user context for Gemini
         const userContext = {
             preferences: user.preferences || {},
-            purchaseHistory: user.purchaseHistory.map(p => ({
+            purchaseHistory: purchaseHistory.map(p => ({
                 productName: p.productId.name,
                 category: p.productId.category,
+                brand: p.productId.brand,
                 attributes: p.productId.attributes,
                 rating: p.rating || null,
                 purchaseDate: p.purchaseDate
@@ -52,10 +66,12 @@ router.get('/ai-recommendations', authMiddleware, async (req, res) => {
             id: product._id.toString(),
             name: product.name,
             category: product.category,
+            brand: product.brand,
             attributes: product.attributes,
             price: product.price,
             rating: product.averageRating || 0,
-            description: product.description
+            description: product.description,
+            bundleContents: bundleContents(product)
         }));
 
         // Create prompt for Gemini
@@ -74,6 +90,7 @@ router.get('/ai-recommendations', authMiddleware, async (req, res) => {
         3. Product ratings and quality
         4. Price range preferences
         5. Seasonal or demographic factors
+        6. Brands they have bought and liked before
 
         Return ONLY a JSON array of product IDs in order of recommendation priority (most recommended first). Format: ["productId1", "productId2", ...]
         
@@ -124,33 +141,33 @@ router.get('/ai-recommendations', authMiddleware, async (req, res) => {
 router.get('/hybrid', authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
-        const user = await User.findById(userId).populate('purchaseHistory.productId');
+        const user = await User.findById(userId);
         
         if (!user) return res.status(404).json({ message: 'User not found' });
 
+        const purchaseHistory = await getPurchaseHistory(userId);
+
         // Get content-based recommendations
         const userHairType = user.preferences?.hairType;
         let contentBasedProducts = [];
         if (userHairType) {
             contentBasedProducts = await Product.find({
                 'attributes.hairType': userHairType
-            }).limit(20);
+            }).populate('bundleItems.productId', 'name').limit(20);
         }
 
         // Get collaborative filtering recommendations
-        const otherUsers = await User.find({ _id: { $ne: user._id } })
-            .limit(50)
-            .populate('purchaseHistory.productId');
+        const otherUsers = await getOtherCustomersPurchases(user._id, 50);
 
         const similarityScores = otherUsers.map(otherUser => {
-            const commonCount = countCommonProducts(user.purchaseHistory, otherUser.purchaseHistory);
+            const commonCount = countCommonProducts(purchaseHistory, otherUser.purchaseHistory);
             return { user: otherUser, score: commonCount };
         });
 
         similarityScores.sort((a, b) => b.score - a.score);
         const topUsers = similarityScores.slice(0, 3).map(s => s.user);
 
-        const currentUserProducts = new Set(user.purchaseHistory.map(p => p.productId._id.toString()));
+        const currentUserProducts = new Set(purchaseHistory.map(p => p.productId._id.toString()));
         const collaborativeProductIds = new Set();
 
         topUsers.forEach(similarUser => {
@@ -164,7 +181,7 @@ router.get('/hybrid', authMiddleware, async (req, res) => {
 
         const collaborativeProducts = await Product.find({
             _id: { $in: Array.from(collaborativeProductIds) }
-        }).limit(20);
+        }).populate('bundleItems.productId', 'name').limit(20);
 
         // Combine all candidate products
         const allCandidates = [...contentBasedProducts, ...collaborativeProducts];
@@ -177,16 +194,19 @@ router.get('/hybrid', authMiddleware, async (req, res) => {
             id: product._id.toString(),
             name: product.name,
             category: product.category,
+            brand: product.brand,
             attributes: product.attributes,
             price: product.price,
-            rating: product.averageRating || 0
+            rating: product.averageRating || 0,
+            bundleContents: bundleContents(product)
         }));
 
         const userContext = {
             preferences: user.preferences || {},
-            purchaseHistory: user.purchaseHistory.map(p => ({
+            purchaseHistory: purchaseHistory.map(p => ({
                 productName: p.productId.name,
                 category: p.productId.category,
+                brand: p.productId.brand,
                 attributes: p.productId.attributes
             }))
         };
@@ -260,22 +280,22 @@ router.get('/content-based', authMiddleware, async (req, res) => {
 router.get('/collaborative', authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
-        const currentUser = await User.findById(userId).populate('purchaseHistory.productId');
+        const currentUser = await User.findById(userId);
         if (!currentUser) return res.status(404).json({ message: 'User not found' });
 
-        const otherUsers = await User.find({ _id: { $ne: currentUser._id } })
-            .limit(100)
-            .populate('purchaseHistory.productId');
+        const purchaseHistory = await getPurchaseHistory(userId);
+
+        const otherUsers = await getOtherCustomersPurchases(currentUser._id, 100);
 
         const similarityScores = otherUsers.map(otherUser => {
-            const commonCount = countCommonProducts(currentUser.purchaseHistory, otherUser.purchaseHistory);
+            const commonCount = countCommonProducts(purchaseHistory, otherUser.purchaseHistory);
             return { user: otherUser, score: commonCount };
         });
 
         similarityScores.sort((a, b) => b.score - a.score);
         const topUsers = similarityScores.slice(0, 5).map(s => s.user);
 
-        const currentUserProducts = new Set(currentUser.purchaseHistory.map(p => p.productId._id.toString()));
+        const currentUserProducts = new Set(purchaseHistory.map(p => p.productId._id.toString()));
         const recommendedProductIds = new Set();
 
         topUsers.forEach(user => {
@@ -303,19 +323,22 @@ router.get('/collaborative', authMiddleware, async (req, res) => {
 router.get('/suggest-new-products', authMiddleware, async (req, res) => {
     try {
         const userId = req.user.id;
-        const user = await User.findById(userId).populate('purchaseHistory.productId');
+        const user = await User.findById(userId);
         
         if (!user) return res.status(404).json({ message: 'User not found' });
 
+        const purchaseHistory = await getPurchaseHistory(userId);
+
         // Get current product catalog to know what we already have
-        const existingProducts = await Product.find({}).select('name category attributes description');
+        const existingProducts = await Product.find({}).select('name category brand attributes description');
         
         // Prepare user context
         const userContext = {
             preferences: user.preferences || {},
-            purchaseHistory: user.purchaseHistory.map(p => ({
+            purchaseHistory: purchaseHistory.map(p => ({
                 productName: p.productId.name,
                 category: p.productId.category,
+                brand: p.productId.brand,
                 attributes: p.productId.attributes,
                 rating: p.rating || null,
                 purchaseDate: p.purchaseDate,
@@ -334,6 +357,7 @@ router.get('/suggest-new-products', authMiddleware, async (req, res) => {
         const catalogContext = existingProducts.map(product => ({
             name: product.name,
             category: product.category,
+            brand: product.brand,
             attributes: product.attributes,
             description: product.description
         }));
@@ -363,7 +387,7 @@ router.get('/suggest-new-products', authMiddleware, async (req, res) => {
         - benefits: Array of key benefits
         - hairType: Compatible hair types
         - priceRange: Estimated price range (e.g., "$15-25")
-        - brand: Suggested brand type (premium, drugstore, natural, etc.)
+        - brand: A brand from the current catalog when one fits, otherwise a suggested brand type (premium, drugstore, natural, etc.)
         - why: Why this product is recommended for this specific user (2-3 sentences)
 
         Return ONLY a valid JSON array of product objects. Example format:
@@ -454,7 +478,7 @@ router.get('/suggest-new-products', authMiddleware, async (req, res) => {
             userProfile: {
                 hairType: user.preferences?.hairType,
                 concerns: user.preferences?.concerns,
-                recentPurchases: user.purchaseHistory.slice(-3).map(p => p.productId.name)
+                recentPurchases: purchaseHistory.slice(-3).map(p => p.productId.name)
             },
             recommendationSource: 'ai-product-suggestion',
             message: 'These are new product suggestions based on your profile that are not currently in our catalog'
@@ -471,23 +495,31 @@ router.get('/market-analysis', authMiddleware, async (req, res) => {
     try {
         // Get all users and their preferences/purchase history
         const users = await User.find({})
-            .populate('purchaseHistory.productId')
             .limit(100); // Limit for performance
 
+        const orders = await Order.find({ userId: { $in: users.map(u => u._id) }, status: { $in: PURCHASED_STATUSES } })
+            .populate('items.productId', 'category brand attributes');
+
         // Get current product catalog
         const existingProducts = await Product.find({});
         
         // Analyze user patterns and current catalog
         const userPatterns = users.map(user => ({
             preferences: user.preferences || {},
-            purchaseHistory: user.purchaseHistory.map(p => ({
-                category: p.productId.category,
-                attributes: p.productId.attributes
-            }))
+            purchaseHistory: orders
+                .filter(order => order.userId.equals(user._id))
+                .flatMap(order => order.items)
+                .filter(item => item.productId)
+                .map(item => ({
+                    category: item.productId.category,
+                    brand: item.productId.brand,
+                    attributes: item.productId.attributes
+                }))
         }));
 
         const catalogAnalysis = {
             categories: [...new Set(existingProducts.map(p => p.category))],
+            brands: [...new Set(existingProducts.map(p => p.brand).filter(Boolean))],
             hairTypes: [...new Set(existingProducts.flatMap(p => p.attributes?.hairType || []))],
             totalProducts: existingProducts.length,
             priceRanges: existingProducts.map(p => p.price)
@@ -564,14 +596,17 @@ router.post('/create-custom-product', authMiddleware, async (req, res) => {
         const userId = req.user.id;
         const { specificNeeds, budget, preferences } = req.body;
         
-        const user = await User.findById(userId).populate('purchaseHistory.productId');
+        const user = await User.findById(userId);
         if (!user) return res.status(404).json({ message: 'User not found' });
 
+        const purchaseHistory = await getPurchaseHistory(userId);
+
         const userContext = {
             preferences: { ...user.preferences, ...preferences },
-            purchaseHistory: user.purchaseHistory.map(p => ({
+            purchaseHistory: purchaseHistory.map(p => ({
                 productName: p.productId.name,
                 category: p.productId.category,
+                brand: p.productId.brand,
                 attributes: p.productId.attributes,
                 rating: p.rating
             })),
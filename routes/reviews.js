@@ -3,7 +3,8 @@ const router = express.Router();
 const Review = require('../models/Review');
 const Product = require('../models/Product');
 const authMiddleware = require('../middleware/authMiddleware');
-const User = require('../models/User'); 
+const { hasPurchased } = require('../services/orderService');
+const { awardReviewPoints } = require('../services/loyaltyService');
 // Add a review
 router.post('/', authMiddleware, async (req, res) => {
   try {
@@ -28,6 +29,12 @@ router.post('/', authMiddleware, async (req, res) => {
     // Update product review stats
     await Product.updateReviewStats(req.body.productId);
 
+    try {
+      await awardReviewPoints(review);
+    } catch (error) {
+      console.error('Failed to award review points:', error);
+    }
+
     res.status(201).json(review);
   } catch (err) {
     res.status(400).json({ message: err.message });
@@ -212,8 +219,7 @@ router.get('/search', async (req, res) => {
 
 // Helper function to check if purchase was verified
 async function checkVerifiedPurchase(userId, productId) {
-  const user = await User.findById(userId);
-  return user.purchaseHistory.some(p => p.productId.equals(productId));
+  return hasPurchased(userId, productId);
 }
 
 module.exports = router;
\ No newline at end of file
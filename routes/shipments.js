@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const { handleCarrierWebhook } = require('../services/shipmentService');
+
+// Tracking updates pushed by a carrier. Each adapter checks the request
+// really came from its carrier before anything is applied.
+router.post('/webhooks/:carrier', async (req, res) => {
+  try {
+    const received = await handleCarrierWebhook(req.params.carrier, req);
+    res.json({ received });
+  } catch (err) {
+    console.error(`Carrier webhook error (${req.params.carrier}):`, err.message);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  DISCOUNT_PERCENT,
+  createSetupIntent,
+  createSubscription,
+  skipNextRenewal,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+} = require('../services/subscriptionService');
+
+// Subscribe and save: regular deliveries of one product at a discount,
+// charged to a card saved with Stripe
+
+router.use(authMiddleware);
+
+// Intervals and discount on offer, for the product page
+router.get('/options', (req, res) => {
+  res.json({ intervals: Subscription.INTERVALS, discountPercent: DISCOUNT_PERCENT });
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await Subscription.find({ userId: req.user.id })
+      .populate('productId', 'name price productImage slug variants')
+      .sort({ createdAt: -1 });
+    res.json(subscriptions);
+  } catch (err) {
+    console.error('Error fetching subscriptions:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Returns the SetupIntent client secret used to save a card
+router.post('/setup-intent', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json(await createSetupIntent(user));
+  } catch (err) {
+    console.error('Error creating setup intent:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Body: { productId, variantId, quantity, intervalWeeks, paymentMethodId,
+//         addressId | shippingAddress, shippingMethodId }
+// The first delivery is ordered and charged straight away.
+router.post('/', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const { subscription, order } = await createSubscription(user, req.body);
+    res.status(201).json({
+      message: 'Subscribed',
+      subscription,
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        total: order.total
+      }
+    });
+  } catch (err) {
+    console.error('Error creating subscription:', err);
+    if (err.name === 'ValidationError') return res.status(400).json({ message: err.message });
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error', errors: err.details });
+  }
+});
+
+router.post('/:id/skip', async (req, res) => {
+  try {
+    const subscription = await skipNextRenewal(req.user.id, req.params.id);
+    res.json({ message: 'Next delivery skipped', subscription });
+  } catch (err) {
+    console.error('Error skipping subscription renewal:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const subscription = await pauseSubscription(req.user.id, req.params.id);
+    res.json({ message: 'Subscription paused', subscription });
+  } catch (err) {
+    console.error('Error pausing subscription:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Body (optional): { paymentMethodId } to switch to another saved card
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const subscription = await resumeSubscription(user, req.params.id, req.body);
+    res.json({ message: 'Subscription resumed', subscription });
+  } catch (err) {
+    console.error('Error resuming subscription:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const subscription = await cancelSubscription(req.user.id, req.params.id);
+    res.json({ message: 'Subscription cancelled', subscription });
+  } catch (err) {
+    console.error('Error cancelling subscription:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+module.exports = router;
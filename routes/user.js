@@ -2,39 +2,37 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const LedgerEntry = require('../models/LedgerEntry');
+const { openReturn } = require('../services/returnService');
+const { priceCart } = require('../services/checkoutService');
+const { normaliseCode } = require('../services/couponService');
+const {
+  pickAddressFields,
+  validateAddress,
+  setDefaultAddress,
+  resolveAddress
+} = require('../services/addressService');
+const { changeOrderStatus } = require('../services/orderService');
+const { verifyUnsubscribeToken } = require('../services/mailer');
+const { getLoyaltySummary, getLoyaltyHistory } = require('../services/loyaltyService');
+const { getReferralSummary } = require('../services/referralService');
+const { getShipmentsByOrder } = require('../services/shipmentService');
+const { getCarrier } = require('../services/carriers');
 const authMiddleware = require('../middleware/authMiddleware');
+const adminMiddleware = require('../middleware/adminMiddleware');
+const { isSameCartLine, withoutCartLine, parseQuantity } = require('../utils/cart');
 const bcrypt = require('bcryptjs')
 // User buys a product
 
 
 const getClientOrders = async () => {
   try {
-    const orders = await User.aggregate([
-      { $unwind: "$purchaseHistory" }, // Break down the purchaseHistory array
-      { 
-        $lookup: { // Join with products collection
-          from: "products",
-          localField: "purchaseHistory.productId",
-          foreignField: "_id",
-          as: "productDetails"
-        }
-      },
-      { $unwind: "$productDetails" }, // Since lookup returns an array
-      { 
-        $project: { // Shape the output
-          userId: "$_id",
-          userName: "$name",
-          userEmail: "$email",
-          productId: "$purchaseHistory.productId",
-          productName: "$productDetails.name",
-          quantity: "$purchaseHistory.quantity",
-          date: "$purchaseHistory.date",
-          _id: 0
-        }
-      },
-      { $sort: { date: -1 } } // Sort by most recent
-    ]);
-    
+    const orders = await Order.find()
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 }); // Sort by most recent
+
     return orders;
   } catch (error) {
     console.error("Error fetching orders:", error);
@@ -61,50 +59,65 @@ router.get('/profile', authMiddleware, async (req, res) => {
 
 
 
-router.post('/purchase', authMiddleware, async (req, res) => {
+router.get('/purchases', authMiddleware, async (req, res) => {
   const userId = req.user.id;
-  const { items } = req.body; // Now accepts array of items
-
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ message: 'Items array required' });
-  }
 
   try {
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ message: 'User not found' });
-
-    // Verify all products exist and get their prices
-    const productIds = items.map(item => item.productId);
-    const products = await Product.find({ _id: { $in: productIds } });
-    
-    if (products.length !== items.length) {
-      return res.status(400).json({ message: 'Some products not found' });
-    }
+    const orders = await Order.find({ userId })
+      .populate({
+        path: 'items.productId',
+        select: 'name description productImage' // Include whatever product fields you need
+      })
+      .sort({ createdAt: -1 });
+    const shipmentsByOrder = await getShipmentsByOrder(orders.map(order => order._id));
 
-    // Create purchase records
-    const purchaseRecords = items.map(item => {
-      const product = products.find(p => p._id.toString() === item.productId);
-      return {
-        productId: item.productId,
+    // Format the response
+    const purchases = orders.map(order => ({
+      id: order._id,
+      orderNumber: order.orderNumber,
+      date: order.createdAt,
+      currency: order.currency,
+      subtotal: order.subtotal,
+      total: order.total,
+      shippingAddress: order.shippingAddress,
+      items: order.items.map(item => ({
+        id: item._id,
+        name: item.name,
+        variantName: item.variantName,
+        sku: item.sku,
+        unitPrice: item.unitPrice,
         quantity: item.quantity,
-        price: product.price, // Store price at time of purchase
-        date: new Date()
-      };
-    });
-
-    // Add purchases to history
-    user.purchaseHistory.push(...purchaseRecords);
-    
-    // Clear the cart after successful purchase
-    user.cart = [];
-    
-    await user.save();
-
-    res.json({ 
+        lineTotal: item.lineTotal,
+        product: item.productId ? {
+          id: item.productId._id,
+          name: item.productId.name,
+          description: item.productId.description,
+          image: item.productId.productImage
+        } : null
+      })),
+      status: order.status,
+      statusHistory: order.statusHistory,
+      // Parcels with their tracking, oldest first
+      shipments: (shipmentsByOrder.get(order._id.toString()) || []).map(shipment => ({
+        id: shipment._id,
+        carrier: getCarrier(shipment.carrier)?.name || shipment.carrier,
+        trackingNumber: shipment.trackingNumber,
+        trackingUrl: shipment.trackingUrl,
+        status: shipment.status,
+        items: shipment.items,
+        events: shipment.events,
+        shippedAt: shipment.shippedAt,
+        estimatedDeliveryAt: shipment.estimatedDeliveryAt,
+        deliveredAt: shipment.deliveredAt
+      })),
+      canCancel: order.isCancellableByCustomer()
+    }));
+    res.json({
       success: true,
-      message: 'Purchase recorded successfully',
-      purchaseHistory: user.purchaseHistory
+      count: purchases.length,
+      purchases
     });
+
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -112,42 +125,69 @@ router.post('/purchase', authMiddleware, async (req, res) => {
 });
 
 
-router.get('/purchases', authMiddleware, async (req, res) => {
+// Cancel one of my orders (only before it ships)
+router.post('/orders/:id/cancel', authMiddleware, async (req, res) => {
   const userId = req.user.id;
+  const { reason } = req.body;
 
   try {
-    const user = await User.findById(userId)
-      .populate({
-        path: 'purchaseHistory.productId',
-        select: 'name description image' // Include whatever product fields you need
-      })
-      .select('purchaseHistory'); // Only return purchase history
+    const order = await Order.findOne({ _id: req.params.id, userId });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (!order.isCancellableByCustomer()) {
+      return res.status(409).json({ message: `Orders that are ${order.status} can no longer be cancelled` });
     }
 
-    // Format the response
-    const purchases = user.purchaseHistory.map(purchase => ({
-      id: purchase._id,
-      date: purchase.date,
-      quantity: purchase.quantity,
-      
-      product: {
-        id: purchase.productId._id,
-        name: purchase.productId.name,
-        description: purchase.productId.description,
-        image: purchase.productId.image,
-        // price: purchase.productId.price,
-      },
-      status: purchase.status || 'completed' // Default status if not set
-    }));
-    res.json({
-      success: true,
-      count: purchases.length,
-      purchases
+    await changeOrderStatus(order, 'cancelled', {
+      actorType: 'customer',
+      actor: userId,
+      note: reason
     });
 
+    res.json({ success: true, message: 'Order cancelled', order });
+  } catch (err) {
+    console.error('Order cancel error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Request a return for a delivered order line
+router.post('/orders/:id/returns', authMiddleware, async (req, res) => {
+  const userId = req.user.id;
+  const { itemId, quantity, reason, note } = req.body;
+
+  if (!itemId || !reason) {
+    return res.status(400).json({ message: 'Item ID and reason are required' });
+  }
+  if (!ReturnRequest.RETURN_REASONS.includes(reason)) {
+    return res.status(400).json({
+      message: 'Invalid return reason',
+      allowedReasons: ReturnRequest.RETURN_REASONS
+    });
+  }
+
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId });
+    if (!order) return res.status(404).json({ message: 'Order not found' });
+
+    const returnRequest = await openReturn({ order, userId, itemId, quantity, reason, note });
+
+    res.status(201).json({ success: true, message: 'Return requested', returnRequest });
+  } catch (err) {
+    console.error('Return request error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// My return requests
+router.get('/returns', authMiddleware, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ userId: req.user.id })
+      .populate('orderId', 'orderNumber')
+      .populate('refundId', 'amount currency status')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, count: returns.length, returns });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -155,27 +195,28 @@ router.get('/purchases', authMiddleware, async (req, res) => {
 });
 
 
-
 router.post('/cart/add', authMiddleware, async (req, res) => {
   const userId = req.user.id;
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId } = req.body;
+  const quantity = parseQuantity(req.body.quantity ?? 1);
 
   if (!productId) return res.status(400).json({ message: 'Product ID required' });
+  if (!quantity) return res.status(400).json({ message: 'Quantity must be a whole number of at least 1' });
 
   try {
     const user = await User.findById(userId);
 
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    // Check if product already in cart
-    const cartItem = user.cart.find(item => item.productId.toString() === productId);
+    // Check if product (or this variant of it) already in cart
+    const cartItem = user.cart.find(item => isSameCartLine(item, productId, variantId));
 
     if (cartItem) {
       // Update quantity
       cartItem.quantity = quantity;
     } else {
       // Add new item
-      user.cart.push({ productId, quantity });
+      user.cart.push({ productId, variantId, quantity });
     }
 
     await user.save();
@@ -189,7 +230,7 @@ router.post('/cart/add', authMiddleware, async (req, res) => {
 // Remove product from cart
 router.post('/cart/remove', authMiddleware, async (req, res) => {
   const userId = req.user.id;
-  const { productId } = req.body;
+  const { productId, variantId } = req.body;
 
   if (!productId) return res.status(400).json({ message: 'Product ID required' });
 
@@ -198,7 +239,7 @@ router.post('/cart/remove', authMiddleware, async (req, res) => {
 
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    user.cart = user.cart.filter(item => item.productId.toString() !== productId);
+    user.cart = withoutCartLine(user.cart, productId, variantId);
     await user.save();
     res.json({ message: 'Product removed from cart', cart: user.cart });
   } catch (err) {
@@ -223,6 +264,75 @@ router.get('/cart', authMiddleware, async (req, res) => {
   }
 });
 
+// Cart totals as checkout will charge them (amounts in cents)
+// Optional query: addressId, or country / region / postalCode, plus
+// shippingMethodId so the cart can show shipping options and tax before
+// checkout. Falls back to the default shipping address. redeemPoints
+// previews spending loyalty points (see pointsError).
+router.get('/cart/summary', authMiddleware, async (req, res) => {
+  const { addressId, country, region, postalCode, shippingMethodId, redeemPoints } = req.query;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const shippingAddress = country && !addressId
+      ? { country, region, postalCode }
+      : resolveAddress(user, { addressId });
+
+    const summary = await priceCart(user.cart, {
+      couponCode: user.cartCouponCode,
+      userId: user._id,
+      shippingAddress,
+      shippingMethodId,
+      redeemPoints
+    });
+    res.json({ success: true, summary });
+  } catch (err) {
+    console.error('Cart summary error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/cart/coupon/apply', authMiddleware, async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) return res.status(400).json({ message: 'Coupon code required' });
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const summary = await priceCart(user.cart, { couponCode: code, userId: user._id });
+    if (summary.couponError) {
+      return res.status(400).json({ message: summary.couponError });
+    }
+
+    user.cartCouponCode = normaliseCode(code);
+    await user.save();
+
+    res.json({ success: true, message: 'Coupon applied', summary });
+  } catch (err) {
+    console.error('Apply coupon error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+router.post('/cart/coupon/remove', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    user.cartCouponCode = undefined;
+    await user.save();
+
+    res.json({ success: true, message: 'Coupon removed' });
+  } catch (err) {
+    console.error('Remove coupon error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.post('/cart/empty', authMiddleware, async (req, res) => {
   const userId = req.user.id;
 
@@ -235,6 +345,7 @@ router.post('/cart/empty', authMiddleware, async (req, res) => {
 
     // Empty the cart by setting it to an empty array
     user.cart = [];
+    user.cartCouponCode = undefined;
     await user.save();
 
     res.json({ 
@@ -251,10 +362,218 @@ router.post('/cart/empty', authMiddleware, async (req, res) => {
   }
 });
 
+// ===========================================
+// ADDRESS BOOK
+// ===========================================
 
-router.get('/users', async (req, res) => {
+router.get('/addresses', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ success: true, addresses: user.addresses });
+  } catch (err) {
+    console.error('Error fetching addresses:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// The first address saved becomes the default for both shipping and billing
+router.post('/addresses', authMiddleware, async (req, res) => {
+  const { label, isDefaultShipping, isDefaultBilling } = req.body;
+  const fields = pickAddressFields(req.body);
+
+  const errors = validateAddress(fields);
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Invalid address', errors });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const isFirst = user.addresses.length === 0;
+    user.addresses.push({ ...fields, label });
+    const address = user.addresses[user.addresses.length - 1];
+
+    if (isFirst || isDefaultShipping) setDefaultAddress(user, address, 'shipping');
+    if (isFirst || isDefaultBilling) setDefaultAddress(user, address, 'billing');
+
+    await user.save();
+    res.status(201).json({ success: true, address, addresses: user.addresses });
+  } catch (err) {
+    console.error('Error saving address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/addresses/:addressId', authMiddleware, async (req, res) => {
+  const { label, isDefaultShipping, isDefaultBilling } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    const updated = { ...pickAddressFields(address.toObject()), ...pickAddressFields(req.body) };
+    const errors = validateAddress(updated);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid address', errors });
+    }
+
+    address.set(updated);
+    if (label !== undefined) address.label = label;
+    if (isDefaultShipping) setDefaultAddress(user, address, 'shipping');
+    if (isDefaultBilling) setDefaultAddress(user, address, 'billing');
+
+    await user.save();
+    res.json({ success: true, address, addresses: user.addresses });
+  } catch (err) {
+    console.error('Error updating address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Deleting a default hands the flag to the most recently added address left
+router.delete('/addresses/:addressId', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ message: 'Address not found' });
+
+    const { isDefaultShipping, isDefaultBilling } = address;
+    address.deleteOne();
+
+    const replacement = user.addresses[user.addresses.length - 1];
+    if (replacement) {
+      if (isDefaultShipping) setDefaultAddress(user, replacement, 'shipping');
+      if (isDefaultBilling) setDefaultAddress(user, replacement, 'billing');
+    }
+
+    await user.save();
+    res.json({ success: true, message: 'Address deleted', addresses: user.addresses });
+  } catch (err) {
+    console.error('Error deleting address:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// ===========================================
+// EMAIL PREFERENCES
+// ===========================================
+
+const EMAIL_PREFERENCES = ['cartReminders'];
+
+// Target of the unsubscribe link in marketing emails; no sign-in needed
+router.get('/unsubscribe', async (req, res) => {
+  const unsubscribe = verifyUnsubscribeToken(req.query.token);
+
+  if (!unsubscribe || !EMAIL_PREFERENCES.includes(unsubscribe.list)) {
+    return res.status(400).json({ message: 'Invalid unsubscribe link' });
+  }
+
+  try {
+    const result = await User.updateOne(
+      { _id: unsubscribe.id },
+      { $set: { [`emailPreferences.${unsubscribe.list}`]: false } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ success: true, message: 'You have been unsubscribed' });
+  } catch (err) {
+    console.error('Unsubscribe error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.put('/email-preferences', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    EMAIL_PREFERENCES.forEach(key => {
+      if (typeof req.body[key] === 'boolean') user.emailPreferences[key] = req.body[key];
+    });
+    await user.save();
+
+    res.json({ success: true, emailPreferences: user.emailPreferences });
+  } catch (err) {
+    console.error('Email preferences error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Store credit balance (cents) and its history, newest first
+router.get('/store-credit', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('storeCreditBalance');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const entries = await LedgerEntry.find({ account: 'store_credit', userId: user._id })
+      .select('type amount balanceAfter orderId note createdAt')
+      .populate('orderId', 'orderNumber')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({ balance: user.storeCreditBalance, entries });
+  } catch (err) {
+    console.error('Store credit error:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Loyalty points balance, tier (with progress to the next one) and the
+// program's earn and redeem rules
+router.get('/loyalty', authMiddleware, async (req, res) => {
+  try {
+    res.json(await getLoyaltySummary(req.user.id));
+  } catch (err) {
+    console.error('Loyalty summary error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// Points history, newest first. Query: page, limit
+router.get('/loyalty/history', authMiddleware, async (req, res) => {
+  try {
+    res.json(await getLoyaltyHistory(req.user.id, req.query));
+  } catch (err) {
+    console.error('Loyalty history error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+// The user's referral code and link to share, the rewards on offer and how
+// many invited friends have signed up and ordered
+router.get('/referral', authMiddleware, async (req, res) => {
+  try {
+    res.json(await getReferralSummary(req.user.id));
+  } catch (err) {
+    console.error('Referral summary error:', err);
+    res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+  }
+});
+
+
+
+router.get('/users', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const users = await User.aggregate([
+      {
+        // Only orders that were paid for count as purchases
+        $lookup: {
+          from: "orders",
+          let: { userId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$userId", "$$userId"] }, status: { $in: Order.PAID_STATUSES } } }
+          ],
+          as: "orders"
+        }
+      },
       {
         $project: {
           _id: 1,
@@ -262,17 +581,10 @@ router.get('/users', async (req, res) => {
           email: 1,
           role: 1,
           createdAt: 1,
-          lastPurchase: { $max: "$purchaseHistory.date" },
-          totalPurchases: { $size: "$purchaseHistory" },
-          totalSpent: {
-            $sum: {
-              $map: {
-                input: "$purchaseHistory",
-                as: "purchase",
-                in: { $multiply: ["$$purchase.quantity", "$$purchase.price"] }
-              }
-            }
-          }
+          lastPurchase: { $max: "$orders.createdAt" },
+          totalPurchases: { $size: "$orders" },
+          // Minor units (cents), less anything refunded
+          totalSpent: { $subtract: [{ $sum: "$orders.total" }, { $sum: "$orders.refundedTotal" }] }
         }
       },
       { $sort: { createdAt: -1 } }
@@ -358,7 +670,8 @@ router.post('/change-password', authMiddleware, async (req, res) => {
 
 
 
-router.get('/orders', async (req, res) => {
+// Every customer's orders, for the admin dashboard
+router.get('/orders', authMiddleware, adminMiddleware, async (req, res) => {
   try {
     const orders = await getClientOrders();
     res.json(orders);
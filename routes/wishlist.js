@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/authMiddleware');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+  enableSharing,
+  disableSharing,
+  getSharedWishlist
+} = require('../services/wishlistService');
+
+const sendError = (res, err, context) => {
+  console.error(`${context}:`, err);
+  res.status(err.status || 500).json({ message: err.status ? err.message : 'Server error' });
+};
+
+// Public view of a shared wishlist (gift ideas). Only the owner's name and
+// products that are still on sale are shown.
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const wishlist = await getSharedWishlist(req.params.token);
+
+    res.json({
+      owner: wishlist.userId ? wishlist.userId.name : null,
+      items: wishlist.items
+        .filter(item => item.productId && item.productId.isActive)
+        .map(item => ({
+          product: {
+            id: item.productId._id,
+            name: item.productId.name,
+            price: item.productId.price,
+            image: item.productId.productImage,
+            slug: item.productId.slug,
+            inStock: item.productId.stock > 0
+          },
+          note: item.note,
+          addedAt: item.addedAt
+        }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Error fetching shared wishlist');
+  }
+});
+
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const wishlist = await getWishlist(req.user.id);
+    await wishlist.populate('items.productId', 'name price productImage slug stock isActive averageRating');
+    res.json({ wishlist });
+  } catch (err) {
+    sendError(res, err, 'Error fetching wishlist');
+  }
+});
+
+router.post('/add', authMiddleware, async (req, res) => {
+  const { productId, note } = req.body;
+
+  if (!productId) return res.status(400).json({ message: 'Product ID required' });
+
+  try {
+    const wishlist = await addToWishlist(req.user.id, productId, note);
+    res.json({ message: 'Product added to wishlist', wishlist });
+  } catch (err) {
+    sendError(res, err, 'Error adding to wishlist');
+  }
+});
+
+router.post('/remove', authMiddleware, async (req, res) => {
+  const { productId } = req.body;
+
+  if (!productId) return res.status(400).json({ message: 'Product ID required' });
+
+  try {
+    const wishlist = await removeFromWishlist(req.user.id, productId);
+    res.json({ message: 'Product removed from wishlist', wishlist });
+  } catch (err) {
+    sendError(res, err, 'Error removing from wishlist');
+  }
+});
+
+router.post('/move-to-cart', authMiddleware, async (req, res) => {
+  const { productId, variantId, quantity } = req.body;
+
+  if (!productId) return res.status(400).json({ message: 'Product ID required' });
+
+  try {
+    const { cart, wishlist } = await moveToCart(req.user.id, productId, { variantId, quantity });
+    res.json({ message: 'Product moved to cart', cart, wishlist });
+  } catch (err) {
+    sendError(res, err, 'Error moving wishlist item to cart');
+  }
+});
+
+// Turn on sharing and get the token for the public link
+router.post('/share', authMiddleware, async (req, res) => {
+  try {
+    const wishlist = await enableSharing(req.user.id);
+    res.json({ message: 'Wishlist sharing enabled', shareToken: wishlist.shareToken });
+  } catch (err) {
+    sendError(res, err, 'Error sharing wishlist');
+  }
+});
+
+router.delete('/share', authMiddleware, async (req, res) => {
+  try {
+    await disableSharing(req.user.id);
+    res.json({ message: 'Wishlist sharing disabled' });
+  } catch (err) {
+    sendError(res, err, 'Error unsharing wishlist');
+  }
+});
+
+module.exports = router;
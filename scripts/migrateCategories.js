@@ -0,0 +1,124 @@
+// Builds the category tree from the free-text category and subcategory
+// names on products, and files each product under its category.
+// Usage: npm run migrate:categories [-- --dry-run]
+//
+// Names that only differ in case, spacing or punctuation ("Hair Care",
+// "hair care", "hair-care") become one category, named after the spelling
+// most products use. Names that differ otherwise ("haircare") are kept
+// apart; merge them in the admin afterwards by moving the products and
+// deleting the spare category. Products already filed are left alone, so
+// the script can safely be re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const slugify = require('../utils/slugify');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The spelling used by most products in a group of variants
+const mostUsed = (names) => {
+  const counts = new Map();
+  names.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Group products by the slug of a name
+const groupBy = (products, field) => {
+  const groups = new Map();
+  for (const product of products) {
+    const slug = slugify(product[field]);
+    if (!slug) continue;
+    if (!groups.has(slug)) groups.set(slug, []);
+    groups.get(slug).push(product);
+  }
+  return groups;
+};
+
+// A slug not used yet: the subcategory's prefixed with its parent's
+// (e.g. "men-shampoo"), then numbered
+const freeSlug = async (slug, parent) => {
+  const candidates = parent ? [slug, `${parent.slug}-${slug}`] : [slug];
+  for (const candidate of candidates) {
+    if (!(await Category.exists({ slug: candidate }))) return candidate;
+  }
+  let n = 2;
+  while (await Category.exists({ slug: `${candidates[candidates.length - 1]}-${n}` })) n++;
+  return `${candidates[candidates.length - 1]}-${n}`;
+};
+
+// Find or create a category with the given name under parent
+const ensureCategory = async (name, parent, stats) => {
+  const existing = await Category.findByNames(parent ? parent.name : name, parent ? name : undefined);
+  if (existing) {
+    stats.existingCategories++;
+    return existing;
+  }
+
+  const category = new Category({
+    name,
+    slug: await freeSlug(slugify(name), parent),
+    parent: parent ? parent._id : null
+  });
+
+  stats.createdCategories++;
+  if (dryRun) {
+    // Stand-in so the subcategories can still be worked out
+    category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    return category;
+  }
+  await category.save();
+  return category;
+};
+
+const fileProducts = async (products, path, stats) => {
+  stats.products += products.length;
+  if (dryRun) return;
+
+  const fields = {
+    categoryId: path[path.length - 1]._id,
+    categoryPath: path.map(category => category._id),
+    category: path[0].name
+  };
+  await Product.updateMany({ _id: { $in: products.map(product => product._id) } }, path[1]
+    ? { $set: { ...fields, subcategory: path[1].name } }
+    : { $set: fields, $unset: { subcategory: 1 } });
+};
+
+const migrate = async () => {
+  const products = await Product.find({ categoryId: null })
+    .select('category subcategory')
+    .lean();
+
+  const stats = { products: 0, skipped: 0, createdCategories: 0, existingCategories: 0 };
+
+  for (const [, group] of groupBy(products, 'category')) {
+    const top = await ensureCategory(mostUsed(group.map(product => product.category.trim())), null, stats);
+
+    const withoutSubcategory = group.filter(product => !slugify(product.subcategory));
+    if (withoutSubcategory.length > 0) await fileProducts(withoutSubcategory, [top], stats);
+
+    for (const [, subgroup] of groupBy(group, 'subcategory')) {
+      const sub = await ensureCategory(mostUsed(subgroup.map(product => product.subcategory.trim())), top, stats);
+      await fileProducts(subgroup, [top, sub], stats);
+    }
+  }
+
+  stats.skipped = products.filter(product => !slugify(product.category)).length;
+  if (stats.skipped > 0) {
+    console.warn(`${stats.skipped} product(s) have no usable category name and were left unfiled`);
+  }
+
+  return stats;
+};
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(migrate)
+  .then(stats => {
+    console.log(`${dryRun ? '[dry run] ' : ''}Category migration finished`, stats);
+    return mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('Category migration failed:', err);
+    process.exit(1);
+  });
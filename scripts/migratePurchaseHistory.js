@@ -0,0 +1,69 @@
+// Moves legacy User.purchaseHistory entries into the Order collection.
+// Usage: npm run migrate:orders [-- --dry-run]
+//
+// Each purchaseHistory entry becomes one order, keyed by legacyPurchaseId so
+// the script can safely be re-run. Legacy entries never stored a price, so
+// the product's current price is used for the snapshot.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { toMinorUnits } = require('../utils/money');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const users = await User.find({ 'purchaseHistory.0': { $exists: true } })
+    .select('email purchaseHistory');
+
+  const stats = { users: users.length, created: 0, existing: 0, skipped: 0 };
+
+  for (const user of users) {
+    for (const purchase of user.purchaseHistory) {
+      if (await Order.exists({ legacyPurchaseId: purchase._id })) {
+        stats.existing++;
+        continue;
+      }
+
+      const product = await Product.findById(purchase.productId);
+      if (!product) {
+        console.warn(`Skipping purchase ${purchase._id}: product ${purchase.productId} no longer exists`);
+        stats.skipped++;
+        continue;
+      }
+
+      const order = new Order({
+        userId: user._id,
+        email: user.email,
+        items: [{
+          productId: product._id,
+          name: product.name,
+          unitPrice: toMinorUnits(product.price),
+          quantity: purchase.quantity || 1
+        }],
+        // Legacy purchases were recorded after payment and never tracked further
+        status: 'delivered',
+        statusHistory: [{ to: 'delivered', note: 'Migrated from purchase history', at: purchase.date }],
+        legacyPurchaseId: purchase._id,
+        createdAt: purchase.date || user.createdAt
+      });
+
+      if (!dryRun) await order.save();
+      stats.created++;
+    }
+  }
+
+  return stats;
+};
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(migrate)
+  .then(stats => {
+    console.log(`${dryRun ? '[dry run] ' : ''}Purchase history migration finished`, stats);
+    return mongoose.disconnect();
+  })
+  .catch(err => {
+    console.error('Purchase history migration failed:', err);
+    process.exit(1);
+  });
@@ -0,0 +1,108 @@
+// Sends a locally signed fake Stripe event to the running server so webhook
+// handling can be exercised without the Stripe CLI.
+//
+// Usage:
+//   npm run stripe:test-webhook -- <event type> <order id> [--event-id=evt_x]
+//
+// e.g. npm run stripe:test-webhook -- payment_intent.succeeded 665f1c...
+// Re-send with the same --event-id to check duplicate deliveries are ignored.
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const stripe = require('../services/stripe');
+const Order = require('../models/Order');
+
+const [type, orderId] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const eventIdArg = process.argv.find(arg => arg.startsWith('--event-id='));
+const port = process.env.PORT || 4000;
+
+const fakeId = (prefix) => `${prefix}_test_${crypto.randomBytes(8).toString('hex')}`;
+
+const buildObject = (order) => {
+  const paymentIntentId = order.paymentIntentId || fakeId('pi');
+  const paymentIntent = {
+    id: paymentIntentId,
+    object: 'payment_intent',
+    amount: order.total,
+    amount_received: order.total,
+    currency: order.currency,
+    latest_charge: fakeId('ch'),
+    metadata: { orderId: order._id.toString() }
+  };
+  const charge = {
+    id: paymentIntent.latest_charge,
+    object: 'charge',
+    amount: order.total,
+    amount_refunded: order.total,
+    payment_intent: paymentIntentId
+  };
+  const dispute = {
+    id: fakeId('dp'),
+    object: 'dispute',
+    amount: order.total,
+    charge: charge.id,
+    payment_intent: paymentIntentId,
+    reason: 'fraudulent',
+    status: type === 'charge.dispute.closed' ? 'lost' : 'needs_response'
+  };
+
+  switch (type) {
+    case 'payment_intent.succeeded':
+      return paymentIntent;
+    case 'payment_intent.payment_failed':
+      return {
+        ...paymentIntent,
+        amount_received: 0,
+        last_payment_error: { message: 'Your card was declined.' }
+      };
+    case 'charge.refunded':
+      return charge;
+    case 'charge.dispute.created':
+    case 'charge.dispute.updated':
+    case 'charge.dispute.closed':
+      return dispute;
+    default:
+      throw new Error(`Unsupported event type "${type}"`);
+  }
+};
+
+const send = async () => {
+  if (!type || !orderId) {
+    throw new Error('Usage: sendTestWebhook.js <event type> <order id> [--event-id=evt_x]');
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  const payload = JSON.stringify({
+    id: eventIdArg ? eventIdArg.split('=')[1] : fakeId('evt'),
+    object: 'event',
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object: buildObject(order) }
+  });
+
+  const signature = stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: process.env.STRIPE_WEBHOOK_SECRET
+  });
+
+  const response = await fetch(`http://localhost:${port}/api/payments/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Stripe-Signature': signature
+    },
+    body: payload
+  });
+
+  console.log(response.status, await response.text());
+};
+
+mongoose.connect(process.env.MONGO_URI)
+  .then(send)
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,105 @@
+const createHttpError = require('../utils/httpError');
+
+const ADDRESS_FIELDS = ['fullName', 'line1', 'line2', 'city', 'region', 'postalCode', 'country', 'phone'];
+
+// Postal code formats for the countries we ship to most. Countries not
+// listed here only need a non-empty postal code if they use one at all.
+const POSTAL_CODE_PATTERNS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/,
+  FR: /^\d{5}$/,
+  DE: /^\d{5}$/,
+  BE: /^\d{4}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/,
+  KE: /^\d{5}$/,
+  UG: null,
+  RW: null
+};
+
+// Countries where the state / province is part of a deliverable address
+const REGION_REQUIRED = ['US', 'CA'];
+
+const pickAddressFields = (body = {}) => ADDRESS_FIELDS.reduce((address, key) => {
+  if (body[key] !== undefined) address[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  return address;
+}, {});
+
+// List of problems with an address; empty when it looks deliverable
+const validateAddress = (address = {}) => {
+  const errors = [];
+  const country = (address.country || '').toUpperCase();
+
+  if (!address.fullName) errors.push('Full name is required');
+  if (!address.line1) errors.push('Address line 1 is required');
+  if (!address.city) errors.push('City is required');
+
+  if (!/^[A-Z]{2}$/.test(country)) {
+    errors.push('Country must be a two-letter ISO code');
+    return errors;
+  }
+
+  if (REGION_REQUIRED.includes(country) && !address.region) {
+    errors.push('State / province is required for this country');
+  }
+
+  const pattern = POSTAL_CODE_PATTERNS[country];
+  const postalCode = (address.postalCode || '').toUpperCase();
+  if (pattern && !pattern.test(postalCode)) {
+    errors.push(`Postal code is not valid for ${country}`);
+  }
+
+  if (address.phone && !/^\+?[\d\s()-]{6,20}$/.test(address.phone)) {
+    errors.push('Phone number is not valid');
+  }
+
+  return errors;
+};
+
+const assertValidAddress = (address) => {
+  const errors = validateAddress(address);
+  if (errors.length > 0) throw createHttpError(400, 'Invalid address', errors);
+  return address;
+};
+
+const defaultAddress = (user, type) => {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  return user.addresses.find(address => address[flag]) || null;
+};
+
+// Make one saved address the default of its kind and clear the flag on the rest
+const setDefaultAddress = (user, address, type) => {
+  const flag = type === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  user.addresses.forEach(other => { other[flag] = other._id.equals(address._id); });
+};
+
+// Plain copy of an address for an order, so later edits to the address
+// book never rewrite what an order was shipped to
+const snapshotAddress = (address) => pickAddressFields(
+  typeof address.toObject === 'function' ? address.toObject() : address
+);
+
+// Work out which address an order goes to: a saved address by id, an
+// address typed in at checkout, or the customer's default
+const resolveAddress = (user, { addressId, address, type = 'shipping' } = {}) => {
+  if (addressId) {
+    const saved = user.addresses.id(addressId);
+    if (!saved) throw createHttpError(404, 'Address not found');
+    return snapshotAddress(saved);
+  }
+  if (address) {
+    return assertValidAddress(pickAddressFields(address));
+  }
+  const fallback = defaultAddress(user, type);
+  return fallback ? snapshotAddress(fallback) : undefined;
+};
+
+module.exports = {
+  pickAddressFields,
+  validateAddress,
+  assertValidAddress,
+  defaultAddress,
+  setDefaultAddress,
+  snapshotAddress,
+  resolveAddress
+};
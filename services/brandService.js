@@ -0,0 +1,127 @@
+const Brand = require('../models/Brand');
+const Product = require('../models/Product');
+const { removeImage } = require('./mediaService');
+const createHttpError = require('../utils/httpError');
+
+// How many best-rated products are shown with each brand by default
+const DEFAULT_TOP_PRODUCTS = 4;
+
+// Active products per brand, and the best-rated few of each, keyed by
+// brand id
+const getBrandProducts = async (brandIds, topCount) => {
+  const groups = await Product.aggregate([
+    { $match: { isActive: true, brandId: { $in: brandIds } } },
+    { $sort: { averageRating: -1, reviewCount: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$brandId',
+        productCount: { $sum: 1 },
+        topProducts: {
+          $push: {
+            _id: '$_id',
+            name: '$name',
+            slug: '$slug',
+            price: '$price',
+            productImage: '$productImage',
+            averageRating: '$averageRating',
+            reviewCount: '$reviewCount',
+            stock: '$stock'
+          }
+        }
+      }
+    },
+    { $project: { productCount: 1, topProducts: { $slice: ['$topProducts', topCount] } } }
+  ]);
+  return new Map(groups.map(group => [group._id.toString(), group]));
+};
+
+const withProducts = (brand, products) => {
+  const found = products.get(brand._id.toString());
+  return {
+    ...(brand.toObject ? brand.toObject() : brand),
+    productCount: found ? found.productCount : 0,
+    topProducts: found ? found.topProducts : []
+  };
+};
+
+const parseTopCount = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_TOP_PRODUCTS, 1), 20);
+
+// All active brands by name, each with its product count and top products
+const listBrands = async ({ topProducts } = {}) => {
+  const brands = await Brand.find({ isActive: true })
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ name: 1 })
+    .lean();
+  const products = await getBrandProducts(brands.map(brand => brand._id), parseTopCount(topProducts));
+  return brands.map(brand => withProducts(brand, products));
+};
+
+// One brand by slug (or id or name), with its product count and top products
+const getBrandPage = async (ref, { topProducts } = {}) => {
+  const brand = await Brand.findByRef(ref);
+  if (!brand || !brand.isActive) throw createHttpError(404, 'Brand not found');
+
+  const products = await getBrandProducts([brand._id], parseTopCount(topProducts));
+  return withProducts(brand, products);
+};
+
+// Search filter for one or more brands (by slug, id or name). Unknown
+// brands match nothing.
+const brandFilter = async (refs) => {
+  const list = (Array.isArray(refs) ? refs : String(refs).split(','))
+    .map(ref => String(ref).trim())
+    .filter(Boolean);
+  const brands = await Promise.all(list.map(ref => Brand.findByRef(ref)));
+  return { brandId: { $in: brands.filter(Boolean).map(brand => brand._id) } };
+};
+
+// Matching products per brand, most first, for search facets
+const getBrandFacets = (match = {}) => Product.aggregate([
+  { $match: { ...match, brandId: { $ne: null } } },
+  { $group: { _id: '$brandId', count: { $sum: 1 } } },
+  { $lookup: { from: Brand.collection.name, localField: '_id', foreignField: '_id', as: 'brand' } },
+  { $unwind: '$brand' },
+  { $match: { 'brand.isActive': true } },
+  { $project: { _id: 1, name: '$brand.name', slug: '$brand.slug', count: 1 } },
+  { $sort: { count: -1, name: 1 } }
+]);
+
+const saveBrand = async (brand, fields) => {
+  brand.set(fields);
+  const renamed = !brand.isNew && brand.isModified('name');
+
+  try {
+    await brand.save();
+  } catch (err) {
+    if (err.code === 11000) throw createHttpError(400, 'Another brand already uses this name or slug');
+    if (err.name === 'ValidationError') throw createHttpError(400, err.message);
+    throw err;
+  }
+
+  if (renamed) await Product.updateMany({ brandId: brand._id }, { brand: brand.name });
+  return brand;
+};
+
+// Only brands without products can be deleted
+const deleteBrand = async (id) => {
+  const brand = await Brand.findById(id);
+  if (!brand) throw createHttpError(404, 'Brand not found');
+
+  const productCount = await Product.countDocuments({ brandId: brand._id });
+  if (productCount > 0) {
+    throw createHttpError(409, `Move the ${productCount} product(s) of this brand first`);
+  }
+
+  await brand.deleteOne();
+  await removeImage(brand.logo);
+  return brand;
+};
+
+module.exports = {
+  listBrands,
+  getBrandPage,
+  brandFilter,
+  getBrandFacets,
+  saveBrand,
+  deleteBrand
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const createHttpError = require('../../utils/httpError');
+
+// A pretend carrier for development and testing. Parcels move along a
+// fixed timeline measured from when the label was created, one step every
+// FAKE_CARRIER_STEP_MINUTES. The label time is encoded in the tracking
+// number, so tracking survives restarts without any storage.
+const STEP_MINUTES = parseFloat(process.env.FAKE_CARRIER_STEP_MINUTES) || 60;
+const WEBHOOK_SECRET = process.env.FAKE_CARRIER_WEBHOOK_SECRET;
+
+const TIMELINE = [
+  { status: 'label_created', description: 'Shipping label created', location: 'Warehouse' },
+  { status: 'in_transit', description: 'Parcel collected by the carrier', location: 'Local depot' },
+  { status: 'in_transit', description: 'Arrived at the delivery depot', location: 'Delivery depot' },
+  { status: 'out_for_delivery', description: 'Out for delivery', location: 'Delivery depot' },
+  { status: 'delivered', description: 'Delivered', location: 'Front door' }
+];
+
+const STEP_MS = STEP_MINUTES * 60 * 1000;
+
+const fakeCarrier = new EventEmitter();
+fakeCarrier.code = 'fake';
+fakeCarrier.name = 'Fake Carrier';
+
+// e.g. FAKE-LZ3K9Q2A-7F3C
+const labelTime = (trackingNumber) => {
+  const match = /^FAKE-([0-9A-Z]+)-[0-9A-F]+$/.exec(String(trackingNumber || '').toUpperCase());
+  return match ? parseInt(match[1], 36) : null;
+};
+
+const eventsUntil = (createdAt, now) => TIMELINE
+  .map((step, index) => ({ ...step, occurredAt: new Date(createdAt + index * STEP_MS) }))
+  .filter(event => event.occurredAt.getTime() <= now);
+
+fakeCarrier.trackingUrl = (trackingNumber) => `https://tracking.example.com/fake/${encodeURIComponent(trackingNumber)}`;
+
+fakeCarrier.createLabel = async () => {
+  const createdAt = Date.now();
+  const trackingNumber = `FAKE-${createdAt.toString(36).toUpperCase()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+
+  // Push each later step as it happens, as a real carrier's webhook would.
+  // The timers do not keep the process alive; polling catches up after a
+  // restart.
+  TIMELINE.forEach((step, index) => {
+    if (index === 0) return;
+    const timer = setTimeout(() => {
+      fakeCarrier.emit('tracking', { trackingNumber, events: eventsUntil(createdAt, Date.now()) });
+    }, index * STEP_MS);
+    timer.unref();
+  });
+
+  return {
+    trackingNumber,
+    trackingUrl: fakeCarrier.trackingUrl(trackingNumber),
+    estimatedDeliveryAt: new Date(createdAt + (TIMELINE.length - 1) * STEP_MS)
+  };
+};
+
+fakeCarrier.getTracking = async (trackingNumber) => {
+  const createdAt = labelTime(trackingNumber);
+  if (createdAt === null) throw createHttpError(404, `Unknown tracking number ${trackingNumber}`);
+  return eventsUntil(createdAt, Date.now());
+};
+
+// Body: { trackingNumber, events: [{ status, description, location, occurredAt }] }
+// Must carry FAKE_CARRIER_WEBHOOK_SECRET in the x-fake-carrier-secret
+// header; without a secret configured, webhooks are turned away.
+fakeCarrier.parseWebhook = (req) => {
+  if (!WEBHOOK_SECRET) {
+    throw createHttpError(503, 'Fake carrier webhooks are disabled; set FAKE_CARRIER_WEBHOOK_SECRET');
+  }
+
+  const given = Buffer.from(String(req.get('x-fake-carrier-secret') || ''));
+  const expected = Buffer.from(WEBHOOK_SECRET);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw createHttpError(401, 'Invalid webhook signature');
+  }
+
+  const { trackingNumber, events } = req.body || {};
+  if (!trackingNumber || !Array.isArray(events)) {
+    throw createHttpError(400, 'trackingNumber and events are required');
+  }
+  return [{ trackingNumber, events }];
+};
+
+module.exports = fakeCarrier;
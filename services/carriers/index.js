@@ -0,0 +1,32 @@
+// Carrier adapters, keyed by code. Each adapter provides:
+//
+//   code, name
+//   trackingUrl(trackingNumber)      -> public tracking page
+//   createLabel({ order, shipment }) -> { trackingNumber, trackingUrl, estimatedDeliveryAt }
+//   getTracking(trackingNumber)      -> [{ status, description, location, occurredAt }], oldest first
+//   parseWebhook(req)                -> [{ trackingNumber, events }], throwing a 401 httpError
+//                                       when the request is not signed by the carrier
+//
+// Event statuses are Shipment.STATUSES. Adapters that push updates
+// themselves may also emit 'tracking' with { trackingNumber, events }.
+//
+// Parcels sent with a carrier that has no adapter can still be recorded
+// with a tracking number; they are just not tracked automatically.
+const fakeCarrier = require('./fakeCarrier');
+
+const adapters = {};
+
+// The fake carrier is for development; production only gets it when asked for
+if (process.env.NODE_ENV !== 'production' || process.env.FAKE_CARRIER_ENABLED === 'true') {
+  adapters[fakeCarrier.code] = fakeCarrier;
+}
+
+const getCarrier = (code) => adapters[String(code || '').toLowerCase()] || null;
+
+const listCarriers = () => Object.values(adapters).map(({ code, name }) => ({ code, name }));
+
+module.exports = {
+  getCarrier,
+  listCarriers,
+  adapters
+};
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const CartRecoveryEmail = require('../models/CartRecoveryEmail');
+const { CLIENT_URL, escapeHtml, sendMail, unsubscribeUrl } = require('./mailer');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+
+// Hours a cart must sit untouched before each reminder, e.g. "4,24,72"
+const THRESHOLDS_HOURS = (process.env.ABANDONED_CART_THRESHOLDS_HOURS || '4,24,72')
+  .split(',')
+  .map(Number)
+  .filter(hours => hours > 0)
+  .sort((a, b) => a - b);
+
+// Percentage off offered in one reminder; 0 turns the coupon off
+const COUPON_PERCENT = parseInt(process.env.ABANDONED_CART_COUPON_PERCENT) || 0;
+// Which reminder (1-based) carries the coupon; defaults to the last one
+const COUPON_STAGE = (parseInt(process.env.ABANDONED_CART_COUPON_STAGE) || THRESHOLDS_HOURS.length) - 1;
+const COUPON_VALID_DAYS = parseInt(process.env.ABANDONED_CART_COUPON_DAYS) || 7;
+// A paid order this soon after a reminder counts as recovered
+const ATTRIBUTION_DAYS = parseInt(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const formatPrice = (amount) => `$${fromMinorUnits(amount).toFixed(2)}`;
+
+// Latest reminder stage a cart idle since cartUpdatedAt is due for, or -1
+const dueStage = (cartUpdatedAt, now = new Date()) => {
+  const idleHours = (now - cartUpdatedAt) / HOUR;
+  let stage = -1;
+  THRESHOLDS_HOURS.forEach((hours, index) => {
+    if (idleHours >= hours) stage = index;
+  });
+  return stage;
+};
+
+// Cart lines at today's prices; products taken off sale are left out
+const priceCartItems = async (cart) => {
+  const products = await Product.find({
+    _id: { $in: cart.map(item => item.productId) },
+    isActive: true
+  }).select('name price variants');
+
+  return cart
+    .map(item => {
+      const product = products.find(p => p._id.equals(item.productId));
+      const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+      if (!product || (item.variantId && !(variant && variant.isActive))) return null;
+
+      return {
+        productId: product._id,
+        name: variant ? `${product.name} (${variant.name})` : product.name,
+        unitPrice: toMinorUnits(product.priceFor(variant)),
+        quantity: item.quantity
+      };
+    })
+    .filter(Boolean);
+};
+
+const createRecoveryCoupon = (user) => Coupon.create({
+  code: `BACK-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+  description: `${COUPON_PERCENT}% off your saved cart`,
+  type: 'percentage',
+  value: COUPON_PERCENT,
+  usageLimit: 1,
+  perUserLimit: 1,
+  assignedTo: user._id,
+  endsAt: new Date(Date.now() + COUPON_VALID_DAYS * DAY)
+});
+
+const buildRecoveryEmail = ({ user, items, cartValue, coupon }) => {
+  const rows = items.map(item => `
+        <tr>
+          <td style="padding: 6px 0;">${escapeHtml(item.name)}</td>
+          <td style="padding: 6px 12px; text-align: center;">${item.quantity}</td>
+          <td style="padding: 6px 0; text-align: right;">${formatPrice(item.unitPrice * item.quantity)}</td>
+        </tr>`).join('');
+
+  const couponBlock = coupon ? `
+      <p style="background: #f4f4f4; padding: 10px; border-radius: 5px;">
+        Use code <strong>${coupon.code}</strong> for ${coupon.value}% off.
+        Valid until ${coupon.endsAt.toLocaleDateString()}, once.
+      </p>` : '';
+
+  return {
+    subject: coupon ? `Your cart is waiting - here's ${coupon.value}% off` : 'You left something in your cart',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Hi ${escapeHtml(user.name)},</h2>
+        <p>You still have these items in your cart:</p>
+        <table style="width: 100%; border-collapse: collapse;">${rows}
+          <tr>
+            <td colspan="2" style="padding-top: 10px;"><strong>Total</strong></td>
+            <td style="padding-top: 10px; text-align: right;"><strong>${formatPrice(cartValue)}</strong></td>
+          </tr>
+        </table>
+        <p style="color: #777; font-size: 12px;">Prices shown are today's prices.</p>
+        ${couponBlock}
+        <p><a href="${CLIENT_URL}/cart">Return to your cart</a></p>
+        <p style="color: #777; font-size: 12px;">
+          Don't want these reminders? <a href="${unsubscribeUrl(user._id, 'cartReminders')}">Unsubscribe</a>
+        </p>
+      </div>
+    `
+  };
+};
+
+const sendRecoveryEmail = async (user, stage) => {
+  const items = await priceCartItems(user.cart);
+  if (items.length === 0) return false;
+
+  // Claim the stage first; the unique index stops a second run sending it again
+  let record;
+  try {
+    record = await CartRecoveryEmail.create({
+      userId: user._id,
+      email: user.email,
+      stage,
+      cartUpdatedAt: user.cartUpdatedAt,
+      items,
+      cartValue: items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0)
+    });
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+
+  try {
+    const coupon = COUPON_PERCENT > 0 && stage === COUPON_STAGE ? await createRecoveryCoupon(user) : null;
+    if (coupon) {
+      record.couponId = coupon._id;
+      record.couponCode = coupon.code;
+    }
+
+    const { subject, html } = buildRecoveryEmail({ user, items, cartValue: record.cartValue, coupon });
+    await sendMail({ to: user.email, subject, html });
+  } catch (err) {
+    record.status = 'failed';
+    record.error = err.message;
+  }
+
+  await record.save();
+  return record.status === 'sent';
+};
+
+// Find carts idle past a threshold and send each the reminder it is due.
+// If the job was down and a cart skipped a stage, only the latest due
+// reminder goes out.
+const sendAbandonedCartEmails = async (now = new Date()) => {
+  if (THRESHOLDS_HOURS.length === 0) return 0;
+
+  const users = await User.aggregate([
+    { $match: { 'cart.0': { $exists: true }, 'emailPreferences.cartReminders': { $ne: false } } },
+    { $project: { name: 1, email: 1, cart: 1, cartUpdatedAt: { $max: '$cart.addedAt' } } },
+    { $match: { cartUpdatedAt: { $lte: new Date(now - THRESHOLDS_HOURS[0] * HOUR) } } }
+  ]);
+
+  let sent = 0;
+  for (const user of users) {
+    const stage = dueStage(user.cartUpdatedAt, now);
+    if (stage < 0) continue;
+
+    const alreadySent = await CartRecoveryEmail.exists({
+      userId: user._id,
+      cartUpdatedAt: user.cartUpdatedAt,
+      stage: { $gte: stage }
+    });
+    if (alreadySent) continue;
+
+    if (await sendRecoveryEmail(user, stage)) sent++;
+  }
+
+  return sent;
+};
+
+// Called when an order is paid: reminders sent to this customer shortly
+// before count as having recovered the cart
+const markCartRecovered = async (order) => {
+  if (!order.userId) return;
+
+  await CartRecoveryEmail.updateMany(
+    {
+      userId: order.userId,
+      status: 'sent',
+      createdAt: { $gte: new Date(Date.now() - ATTRIBUTION_DAYS * DAY), $lte: order.createdAt }
+    },
+    { status: 'converted', convertedOrderId: order._id, convertedAt: new Date() }
+  );
+};
+
+// Look for abandoned carts every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const sent = await sendAbandonedCartEmails();
+    if (sent > 0) console.log(`Sent ${sent} abandoned cart email(s)`);
+  } catch (error) {
+    console.error('Error sending abandoned cart emails:', error);
+  }
+});
+
+module.exports = {
+  sendAbandonedCartEmails,
+  markCartRecovered
+};
@@ -0,0 +1,156 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { removeImage } = require('./mediaService');
+const createHttpError = require('../utils/httpError');
+
+// Active products in each category, counting those in its subcategories
+const getProductCounts = async () => {
+  const counts = await Product.aggregate([
+    { $match: { isActive: true, 'categoryPath.0': { $exists: true } } },
+    { $unwind: '$categoryPath' },
+    { $group: { _id: '$categoryPath', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const sortSiblings = (a, b) => a.position - b.position || a.name.localeCompare(b.name);
+
+const toNode = (category, counts) => ({
+  _id: category._id,
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  image: category.image,
+  parent: category.parent,
+  position: category.position,
+  isActive: category.isActive,
+  productCount: counts.get(category._id.toString()) || 0
+});
+
+// The whole tree, top levels first, each node with its children and
+// product count. Hidden categories (and everything under them) are left
+// out unless includeInactive is set.
+const getCategoryTree = async ({ includeInactive = false } = {}) => {
+  const [categories, counts] = await Promise.all([
+    Category.find(includeInactive ? {} : { isActive: true }).lean(),
+    getProductCounts()
+  ]);
+
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...toNode(category, counts), children: [] }]));
+  const roots = [];
+  for (const category of categories) {
+    const node = nodes.get(category._id.toString());
+    if (!category.parent) {
+      roots.push(node);
+    } else if (nodes.has(category.parent.toString())) {
+      nodes.get(category.parent.toString()).children.push(node);
+    }
+  }
+
+  const sortTree = (list) => {
+    list.sort(sortSiblings);
+    list.forEach(node => sortTree(node.children));
+    return list;
+  };
+  return sortTree(roots);
+};
+
+// One category by id, slug or name, with its breadcrumbs and the product
+// counts of it and its direct subcategories
+const getCategoryPage = async (ref) => {
+  const category = await Category.findByRef(ref);
+  if (!category || !category.isActive) throw createHttpError(404, 'Category not found');
+
+  const [breadcrumbs, children, counts] = await Promise.all([
+    category.getBreadcrumbs(),
+    Category.find({ parent: category._id, isActive: true }).lean(),
+    getProductCounts()
+  ]);
+
+  return {
+    ...toNode(category, counts),
+    breadcrumbs,
+    children: children.sort(sortSiblings).map(child => toNode(child, counts))
+  };
+};
+
+// Search filter for products in a category or anywhere below it. Returns
+// null when ref is not a known category, so callers can fall back to
+// matching the name as typed.
+const categoryFilter = async (ref) => {
+  const category = await Category.findByRef(ref);
+  return category ? { categoryPath: category._id } : null;
+};
+
+// After a category is renamed or moved: re-point the ancestors of
+// everything below it and refresh the category fields of the products
+// filed anywhere in the subtree
+const syncSubtree = async (category) => {
+  const descendants = await Category.find({ ancestors: category._id });
+
+  if (descendants.length > 0) {
+    await Category.bulkWrite(descendants.map(descendant => {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)) + 1);
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { ancestors: [...category.ancestors, category._id, ...below] }
+        }
+      };
+    }));
+  }
+
+  for (const id of [category._id, ...descendants.map(descendant => descendant._id)]) {
+    const node = await Category.findById(id);
+    const { subcategory, ...fields } = await Product.categoryFields(node);
+    // An undefined value would be dropped from the update, leaving the old
+    // name behind, so top-level categories unset it explicitly
+    await Product.updateMany({ categoryId: id }, subcategory
+      ? { $set: { ...fields, subcategory } }
+      : { $set: fields, $unset: { subcategory: 1 } });
+  }
+};
+
+const saveCategory = async (category, fields) => {
+  category.set(fields);
+  const moved = !category.isNew && category.isModified('parent');
+  const renamed = !category.isNew && category.isModified('name');
+
+  try {
+    await category.save();
+  } catch (err) {
+    if (err.code === 11000) throw createHttpError(400, 'Another category already uses this slug');
+    if (err.name === 'ValidationError') throw createHttpError(400, err.message);
+    throw err;
+  }
+
+  if (moved || renamed) await syncSubtree(category);
+  return category;
+};
+
+// Only empty categories can be deleted, so no product loses its place
+const deleteCategory = async (id) => {
+  const category = await Category.findById(id);
+  if (!category) throw createHttpError(404, 'Category not found');
+
+  if (await Category.exists({ parent: category._id })) {
+    throw createHttpError(409, 'Move or delete the subcategories first');
+  }
+  const productCount = await Product.countDocuments({ categoryId: category._id });
+  if (productCount > 0) {
+    throw createHttpError(409, `Move the ${productCount} product(s) in this category first`);
+  }
+
+  await category.deleteOne();
+  await removeImage(category.image);
+  return category;
+};
+
+module.exports = {
+  getProductCounts,
+  getCategoryTree,
+  getCategoryPage,
+  categoryFilter,
+  saveCategory,
+  deleteCategory
+};
@@ -0,0 +1,355 @@
+const cron = require('node-cron');
+const Order = require('../models/Order');
+const StockReservation = require('../models/StockReservation');
+const stripe = require('./stripe');
+const { buildOrderItems, changeOrderStatus } = require('./orderService');
+const {
+  findStockShortfalls,
+  outOfStockError,
+  reserveStock,
+  commitReservations,
+  releaseReservations
+} = require('./reservationService');
+const { findCoupon, evaluateCoupon, reserveRedemption } = require('./couponService');
+const { getShippingOptions, selectShippingOption } = require('./shippingService');
+const { calculateTax, STORE_ADDRESS } = require('./taxService');
+const { resolveAddress, assertValidAddress, pickAddressFields } = require('./addressService');
+const { applyCredits } = require('./ledgerService');
+const { findUsableGiftCard } = require('./giftCardService');
+const { fulfilPaidOrder } = require('./paymentService');
+const { getMemberTier, quoteRedemption, redeemOrderPoints } = require('./loyaltyService');
+const createHttpError = require('../utils/httpError');
+
+const CURRENCY = 'usd';
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Price the user's cart from current product prices. Everything is in minor
+// units so the totals can be handed straight to Stripe. The same quote backs
+// the cart preview and payment intent creation.
+//
+// An invalid coupon does not fail the quote; it is reported in couponError
+// so the cart preview can show it. Checkout refuses such a quote; the same
+// goes for redeemPoints (loyalty points to spend) and pointsError.
+// subscriptionPercent takes a subscribe-and-save discount off the subtotal.
+// Members of a tier with free shipping get it on every order.
+const priceCart = async (cart, {
+  couponCode,
+  userId,
+  email,
+  shippingAddress,
+  shippingMethodId,
+  subscriptionPercent,
+  redeemPoints
+} = {}) => {
+  if (!cart || cart.length === 0) {
+    throw createHttpError(400, 'Your cart is empty');
+  }
+
+  const items = await buildOrderItems(cart.map(item => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity
+  })));
+
+  const subtotal = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+  const discounts = [];
+  let couponError = null;
+  if (couponCode) {
+    try {
+      const coupon = await findCoupon(couponCode);
+      discounts.push(await evaluateCoupon(coupon, { items, subtotal, userId, email }));
+    } catch (err) {
+      if (!err.status) throw err;
+      couponError = err.message;
+    }
+  }
+
+  if (subscriptionPercent > 0) {
+    discounts.push({
+      source: 'subscription',
+      description: `Subscribe & save ${subscriptionPercent}%`,
+      amount: Math.round(subtotal * subscriptionPercent / 100)
+    });
+  }
+
+  let pointsError = null;
+  if (redeemPoints) {
+    try {
+      const discounted = discounts.reduce((sum, d) => sum + d.amount, 0);
+      discounts.push(await quoteRedemption({
+        userId,
+        points: redeemPoints,
+        merchandiseTotal: Math.max(0, subtotal - discounted)
+      }));
+    } catch (err) {
+      if (!err.status) throw err;
+      pointsError = err.message;
+    }
+  }
+
+  const discountTotal = Math.min(subtotal, discounts.reduce((sum, d) => sum + d.amount, 0));
+  const merchandiseTotal = subtotal - discountTotal;
+
+  const tier = userId ? await getMemberTier(userId) : null;
+  const shippingOptions = await getShippingOptions({
+    items,
+    merchandiseTotal,
+    address: shippingAddress,
+    freeShipping: discounts.some(d => d.freeShipping) || Boolean(tier && tier.freeShipping)
+  });
+  const shipping = selectShippingOption(shippingOptions, { shippingMethodId, address: shippingAddress });
+  const shippingTotal = shipping ? shipping.amount : 0;
+
+  const taxLines = await calculateTax({
+    address: shipping && shipping.type === 'pickup' ? STORE_ADDRESS : shippingAddress,
+    merchandiseTotal,
+    shippingTotal
+  });
+  const taxTotal = taxLines.reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    currency: CURRENCY,
+    items,
+    subtotal,
+    discounts,
+    discountTotal,
+    shippingOptions,
+    shipping,
+    shippingTotal,
+    taxLines,
+    taxTotal,
+    total: merchandiseTotal + shippingTotal + taxTotal,
+    couponError,
+    pointsError,
+    stockIssues: await findStockShortfalls(items)
+  };
+};
+
+// A customer only ever has one open checkout; starting a new one cancels
+// the previous order and its PaymentIntent so it can no longer be paid.
+const cancelOpenCheckouts = async (filter) => {
+  const openOrders = await Order.find({ ...filter, status: 'pending_payment' });
+
+  for (const order of openOrders) {
+    if (order.paymentIntentId) {
+      try {
+        await stripe.paymentIntents.cancel(order.paymentIntentId);
+      } catch (err) {
+        console.error(`Failed to cancel PaymentIntent ${order.paymentIntentId}:`, err.message);
+        continue; // Leave the order alone rather than risk cancelling a paid one
+      }
+    }
+    await changeOrderStatus(order, 'cancelled', { note: 'Superseded by a new checkout' });
+  }
+};
+
+// Shared by signed-in and guest checkout: price the cart, create the order,
+// hold its stock, take any loyalty points, gift card or store credit and open a
+// PaymentIntent for what is left. Orders covered entirely by credit are
+// paid straight away (clientSecret is then null). Guest orders have no
+// userId and remember their cart instead.
+const startCheckout = async ({
+  userId,
+  guestCartId,
+  email,
+  cart,
+  couponCode,
+  giftCardCode,
+  useStoreCredit,
+  redeemPoints,
+  shippingAddress,
+  billingAddress,
+  shippingMethodId
+}) => {
+  const giftCard = giftCardCode ? await findUsableGiftCard(giftCardCode) : null;
+
+  const quote = await priceCart(cart, { couponCode, userId, email, shippingAddress, shippingMethodId, redeemPoints });
+  if (quote.stockIssues.length > 0) {
+    throw outOfStockError(quote.stockIssues);
+  }
+  if (quote.couponError) {
+    throw createHttpError(400, quote.couponError);
+  }
+  if (quote.pointsError) {
+    throw createHttpError(400, quote.pointsError);
+  }
+  if (!quote.shipping && quote.shippingOptions.length > 0) {
+    throw createHttpError(400, 'Please choose a shipping method');
+  }
+
+  // Subscription renewals are not checkouts and are left alone
+  await cancelOpenCheckouts(userId ? { userId, subscriptionId: null } : { guestCartId });
+
+  const order = new Order({
+    userId,
+    guestCartId,
+    email,
+    items: quote.items,
+    discounts: quote.discounts,
+    shippingAddress: quote.shipping && quote.shipping.requiresAddress ? shippingAddress : undefined,
+    billingAddress: billingAddress || shippingAddress,
+    shipping: quote.shipping || undefined,
+    taxLines: quote.taxLines,
+    currency: quote.currency,
+    statusHistory: [{ to: 'pending_payment', actorType: 'customer', actor: userId }]
+  });
+  await order.save();
+
+  // Hold the stock while the customer pays
+  let reservedUntil;
+  try {
+    reservedUntil = await reserveStock(order);
+  } catch (err) {
+    order.transitionTo('cancelled', { note: 'Not enough stock to reserve' });
+    await order.save();
+    throw err;
+  }
+
+  let paymentIntent;
+  try {
+    for (const discount of quote.discounts.filter(d => d.source === 'coupon')) {
+      await reserveRedemption({ discount, order, userId });
+    }
+    await redeemOrderPoints(order);
+
+    await applyCredits(order, { giftCard, useStoreCredit });
+
+    if (order.amountDue() > 0) {
+      const metadata = {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber
+      };
+      if (userId) metadata.userId = userId.toString();
+
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: order.amountDue(),
+        currency: order.currency,
+        automatic_payment_methods: { enabled: true },
+        receipt_email: order.email,
+        metadata
+      }, {
+        idempotencyKey: `checkout-${order._id}` // Prevent duplicate charges
+      });
+    }
+  } catch (err) {
+    await changeOrderStatus(order, 'cancelled', { note: `Payment could not be started: ${err.message}` });
+    throw err;
+  }
+
+  // Nothing left to pay by card
+  if (!paymentIntent) {
+    await fulfilPaidOrder(order, { note: 'Paid with gift card / store credit' });
+    return { order, clientSecret: null, reservedUntil: null };
+  }
+
+  order.paymentIntentId = paymentIntent.id;
+  await order.save();
+
+  return { order, clientSecret: paymentIntent.client_secret, reservedUntil };
+};
+
+// Addresses can be picked from the address book (addressId / billingAddressId)
+// or typed in; otherwise the customer's defaults are used
+const createCheckout = (user, {
+  addressId,
+  shippingAddress,
+  billingAddressId,
+  billingAddress,
+  shippingMethodId,
+  giftCardCode,
+  useStoreCredit,
+  redeemPoints
+} = {}) => startCheckout({
+  userId: user._id,
+  email: user.email,
+  cart: user.cart,
+  couponCode: user.cartCouponCode,
+  giftCardCode,
+  useStoreCredit: Boolean(useStoreCredit),
+  redeemPoints,
+  shippingAddress: resolveAddress(user, { addressId, address: shippingAddress, type: 'shipping' }),
+  billingAddress: resolveAddress(user, { addressId: billingAddressId, address: billingAddress, type: 'billing' }),
+  shippingMethodId
+});
+
+// Guests only need an email; addresses are typed in at checkout
+const createGuestCheckout = async (guestCart, {
+  email,
+  shippingAddress,
+  billingAddress,
+  shippingMethodId,
+  giftCardCode
+} = {}) => {
+  const normalisedEmail = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(normalisedEmail)) {
+    throw createHttpError(400, 'A valid email address is required');
+  }
+
+  guestCart.email = normalisedEmail;
+  await guestCart.save();
+
+  return startCheckout({
+    guestCartId: guestCart._id,
+    email: normalisedEmail,
+    cart: guestCart.cart,
+    couponCode: guestCart.cartCouponCode,
+    giftCardCode,
+    shippingAddress: shippingAddress ? assertValidAddress(pickAddressFields(shippingAddress)) : undefined,
+    billingAddress: billingAddress ? assertValidAddress(pickAddressFields(billingAddress)) : undefined,
+    shippingMethodId
+  });
+};
+
+// Cancel pending orders whose stock hold has run out. Cancelling goes
+// through changeOrderStatus so stock, coupons etc. are all given back.
+// Holds are only ever released for orders that were not paid.
+const expireStaleCheckouts = async () => {
+  const orderIds = await StockReservation.distinct('orderId', {
+    status: 'active',
+    expiresAt: { $lte: new Date() }
+  });
+
+  for (const orderId of orderIds) {
+    const order = await Order.findById(orderId);
+
+    if (order && order.status === 'pending_payment') {
+      if (order.paymentIntentId) {
+        try {
+          await stripe.paymentIntents.cancel(order.paymentIntentId);
+        } catch (err) {
+          // Most likely already succeeded; the webhook will settle it
+          console.error(`Could not cancel PaymentIntent ${order.paymentIntentId}:`, err.message);
+          continue;
+        }
+      }
+      await changeOrderStatus(order, 'cancelled', { note: 'Payment not completed before the stock hold expired' });
+    } else if (!order || order.status === 'cancelled') {
+      await releaseReservations(orderId, 'expired');
+    } else {
+      // Paid without the hold being committed: the stock is sold, so it
+      // must never go back on sale
+      console.warn(`Order ${order.orderNumber} is ${order.status} but still held stock; committing the hold`);
+      await commitReservations(orderId);
+    }
+  }
+
+  return orderIds.length;
+};
+
+// Check for expired stock holds every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    const expired = await expireStaleCheckouts();
+    if (expired > 0) console.log(`Released stock for ${expired} expired checkout(s)`);
+  } catch (error) {
+    console.error('Error releasing expired checkouts:', error);
+  }
+});
+
+module.exports = {
+  priceCart,
+  createCheckout,
+  createGuestCheckout,
+  expireStaleCheckouts
+};
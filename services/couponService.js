@@ -0,0 +1,136 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const createHttpError = require('../utils/httpError');
+
+const normaliseCode = (code) => String(code || '').trim().toUpperCase();
+
+const findCoupon = async (code) => {
+  const coupon = await Coupon.findOne({ code: normaliseCode(code) });
+  if (!coupon) throw createHttpError(404, 'Coupon not found');
+  return coupon;
+};
+
+// Lines the coupon applies to; no restrictions means the whole cart
+const eligibleItems = (coupon, items) => {
+  const { categories = [], products = [] } = coupon.appliesTo || {};
+  if (categories.length === 0 && products.length === 0) return items;
+
+  const categorySet = new Set(categories.map(c => c.toLowerCase()));
+  return items.filter(item =>
+    products.some(productId => productId.equals(item.productId)) ||
+    (item.category && categorySet.has(item.category.toLowerCase()))
+  );
+};
+
+// Check the coupon against the cart and work out the discount line.
+// Throws a 400 explaining why a coupon cannot be used.
+const evaluateCoupon = async (coupon, { items, subtotal, userId, email }) => {
+  const now = new Date();
+
+  if (!coupon.isActive) throw createHttpError(400, 'This coupon is no longer active');
+  if (coupon.startsAt && coupon.startsAt > now) throw createHttpError(400, 'This coupon is not valid yet');
+  if (coupon.endsAt && coupon.endsAt < now) throw createHttpError(400, 'This coupon has expired');
+
+  if (coupon.assignedTo && !(userId && coupon.assignedTo.equals(userId))) {
+    throw createHttpError(400, 'This coupon belongs to another customer');
+  }
+
+  if (coupon.usageLimit && coupon.usageCount >= coupon.usageLimit) {
+    throw createHttpError(400, 'This coupon has reached its usage limit');
+  }
+
+  // Guests are counted by email so checking out signed-out is no way round the limit
+  if (coupon.perUserLimit && (userId || email)) {
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      ...(userId ? { userId } : { email }),
+      status: { $ne: 'released' }
+    });
+    if (used >= coupon.perUserLimit) {
+      throw createHttpError(400, 'You have already used this coupon');
+    }
+  }
+
+  if (subtotal < coupon.minimumSpend) {
+    throw createHttpError(400, `Spend at least ${(coupon.minimumSpend / 100).toFixed(2)} to use this coupon`);
+  }
+
+  const eligible = eligibleItems(coupon, items);
+  if (eligible.length === 0) {
+    throw createHttpError(400, 'This coupon does not apply to any item in your cart');
+  }
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+  let amount = 0;
+  if (coupon.type === 'percentage') {
+    amount = Math.round(eligibleSubtotal * coupon.value / 100);
+  } else if (coupon.type === 'fixed') {
+    amount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    source: 'coupon',
+    code: coupon.code,
+    couponId: coupon._id,
+    description: coupon.description || coupon.code,
+    amount,
+    freeShipping: coupon.type === 'free_shipping'
+  };
+};
+
+// Claim one use of the coupon for an order. The conditional update keeps
+// concurrent checkouts from going over the global usage limit.
+const reserveRedemption = async ({ discount, order, userId }) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: discount.couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+  if (!claimed) throw createHttpError(400, 'This coupon has reached its usage limit');
+
+  return CouponRedemption.create({
+    couponId: discount.couponId,
+    code: discount.code,
+    userId,
+    email: order.email,
+    orderId: order._id,
+    discount: discount.amount
+  });
+};
+
+const confirmRedemptions = (orderId) => CouponRedemption.updateMany(
+  { orderId, status: 'reserved' },
+  { status: 'redeemed' }
+);
+
+// Give the use back when an order is cancelled before completing
+const releaseRedemptions = async (orderId) => {
+  const redemptions = await CouponRedemption.find({ orderId, status: { $ne: 'released' } });
+
+  for (const redemption of redemptions) {
+    const released = await CouponRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: { $ne: 'released' } },
+      { status: 'released' }
+    );
+    if (released) {
+      await Coupon.updateOne(
+        { _id: redemption.couponId, usageCount: { $gt: 0 } },
+        { $inc: { usageCount: -1 } }
+      );
+    }
+  }
+};
+
+module.exports = {
+  normaliseCode,
+  findCoupon,
+  evaluateCoupon,
+  reserveRedemption,
+  confirmRedemptions,
+  releaseRedemptions
+};
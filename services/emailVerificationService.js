@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { claimGuestOrders } = require('./orderService');
+const { API_URL, escapeHtml, sendMail } = require('./mailer');
+const createHttpError = require('../utils/httpError');
+
+// How long the link in the verification email works
+const VERIFICATION_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 48;
+
+// The token names the address it was sent to, so it stops working if the
+// account's email changes in the meantime. Like every token with a purpose
+// it is refused by authMiddleware.
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { id: user._id.toString(), email: user.email, purpose: 'verify_email' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${VERIFICATION_TOKEN_HOURS}h` }
+  );
+  const link = `${API_URL}/api/auth/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Please confirm your email address',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Welcome, ${escapeHtml(user.name)}</h2>
+        <p>Please confirm this is your email address. Any orders you placed as a guest with it will then show up in your account.</p>
+        <p><a href="${link}">Confirm my email</a></p>
+        <p>This link works for ${VERIFICATION_TOKEN_HOURS} hours. If you didn't create an account, please ignore this email.</p>
+      </div>
+    `
+  });
+};
+
+// Mark the address verified and attach the guest orders placed with it.
+// Returns the user and how many orders were attached.
+const verifyEmail = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    throw createHttpError(400, err.name === 'TokenExpiredError' ? 'This link has expired' : 'Invalid verification link');
+  }
+  if (decoded.purpose !== 'verify_email') throw createHttpError(400, 'Invalid verification link');
+
+  const user = await User.findOne({ _id: decoded.id, email: decoded.email });
+  if (!user) throw createHttpError(400, 'Invalid verification link');
+
+  if (!user.emailVerifiedAt) {
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  const claimedOrders = await claimGuestOrders(user);
+  return { user, claimedOrders };
+};
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmail
+};
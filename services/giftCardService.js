@@ -0,0 +1,236 @@
+const cron = require('node-cron');
+const GiftCard = require('../models/GiftCard');
+const stripe = require('./stripe');
+const { postEntry } = require('./ledgerService');
+const { CLIENT_URL, escapeHtml, sendMail } = require('./mailer');
+const { fromMinorUnits } = require('../utils/money');
+const createHttpError = require('../utils/httpError');
+
+// Purchase limits in cents
+const MIN_AMOUNT = parseInt(process.env.GIFT_CARD_MIN_AMOUNT) || 1000;
+const MAX_AMOUNT = parseInt(process.env.GIFT_CARD_MAX_AMOUNT) || 50000;
+// How long a card can be used for from when it is bought or issued
+const VALID_MONTHS = parseInt(process.env.GIFT_CARD_VALID_MONTHS) || 60;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const formatPrice = (amount) => `$${fromMinorUnits(amount).toFixed(2)}`;
+
+const expiryDate = () => {
+  const date = new Date();
+  date.setMonth(date.getMonth() + VALID_MONTHS);
+  return date;
+};
+
+const assertValidAmount = (amount) => {
+  const value = parseInt(amount);
+  if (!Number.isInteger(value) || value < MIN_AMOUNT || value > MAX_AMOUNT) {
+    throw createHttpError(400, `Gift cards can be from ${formatPrice(MIN_AMOUNT)} to ${formatPrice(MAX_AMOUNT)}`);
+  }
+  return value;
+};
+
+// A card the customer can pay with right now, or a 400 saying why not
+const findUsableGiftCard = async (code) => {
+  const giftCard = await GiftCard.findOne({ code: GiftCard.normaliseCode(code) });
+  if (!giftCard || giftCard.status === 'pending') throw createHttpError(404, 'Gift card not found');
+
+  if (giftCard.status === 'disabled') throw createHttpError(400, 'This gift card has been disabled');
+  if (giftCard.status === 'expired' || (giftCard.expiresAt && giftCard.expiresAt <= new Date())) {
+    throw createHttpError(400, 'This gift card has expired');
+  }
+  if (giftCard.balance <= 0) throw createHttpError(400, 'This gift card has no balance left');
+  return giftCard;
+};
+
+// Email the code to the recipient, or to the buyer when there is none
+const deliverGiftCard = async (giftCard) => {
+  const to = giftCard.recipientEmail || giftCard.purchaserEmail;
+  if (!to) return;
+
+  const greeting = giftCard.recipientName ? `Hi ${escapeHtml(giftCard.recipientName)},` : 'Hi,';
+  const message = giftCard.message
+    ? `<p style="font-style: italic;">"${escapeHtml(giftCard.message)}"</p>`
+    : '';
+
+  try {
+    await sendMail({
+      to,
+      subject: `You've received a ${formatPrice(giftCard.initialAmount)} gift card`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${greeting}</h2>
+          <p>Here is a ${formatPrice(giftCard.initialAmount)} gift card to spend at our shop.</p>
+          ${message}
+          <p style="background: #f4f4f4; padding: 10px; border-radius: 5px; font-size: 18px; text-align: center;">
+            <strong>${giftCard.code}</strong>
+          </p>
+          ${giftCard.expiresAt ? `<p>Valid until ${giftCard.expiresAt.toLocaleDateString()}.</p>` : ''}
+          <p><a href="${CLIENT_URL}">Start shopping</a></p>
+        </div>
+      `
+    });
+    giftCard.deliveredAt = new Date();
+    await giftCard.save();
+  } catch (err) {
+    console.error(`Failed to deliver gift card ${giftCard._id}:`, err.message);
+  }
+};
+
+// Start buying a gift card. The card is created 'pending' and only gets
+// its balance (and is emailed out) once the payment succeeds.
+const purchaseGiftCard = async ({ amount, recipientEmail, recipientName, message, purchaserId, purchaserEmail }) => {
+  const value = assertValidAmount(amount);
+
+  const email = String(purchaserEmail || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) throw createHttpError(400, 'A valid email address is required');
+
+  const giftCard = new GiftCard({
+    code: GiftCard.generateCode(),
+    initialAmount: value,
+    status: 'pending',
+    expiresAt: expiryDate(),
+    recipientEmail,
+    recipientName,
+    message,
+    purchaserId,
+    purchaserEmail: email
+  });
+
+  try {
+    await giftCard.save();
+  } catch (err) {
+    if (err.name === 'ValidationError') throw createHttpError(400, err.message);
+    throw err;
+  }
+
+  const metadata = { giftCardId: giftCard._id.toString() };
+  if (purchaserId) metadata.userId = purchaserId.toString();
+
+  const paymentIntent = await stripe.paymentIntents.create({
+    amount: value,
+    currency: giftCard.currency,
+    automatic_payment_methods: { enabled: true },
+    receipt_email: email,
+    metadata
+  }, {
+    idempotencyKey: `gift-card-${giftCard._id}` // Prevent duplicate charges
+  });
+
+  giftCard.paymentIntentId = paymentIntent.id;
+  await giftCard.save();
+
+  return { giftCard, clientSecret: paymentIntent.client_secret };
+};
+
+// Called from the payment_intent.succeeded webhook for gift card purchases
+const activatePurchasedGiftCard = async (paymentIntent) => {
+  const giftCard = await GiftCard.findById(paymentIntent.metadata.giftCardId);
+  if (!giftCard || giftCard.status !== 'pending') return;
+
+  if (paymentIntent.amount_received < giftCard.initialAmount) {
+    console.error(`PaymentIntent ${paymentIntent.id} received ${paymentIntent.amount_received} for a ${giftCard.initialAmount} gift card`);
+    return;
+  }
+
+  // Flip the status first so a repeated webhook cannot issue the value twice
+  const claimed = await GiftCard.findOneAndUpdate(
+    { _id: giftCard._id, status: 'pending' },
+    { status: 'active' },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  await postEntry({
+    giftCardId: claimed._id,
+    userId: claimed.purchaserId,
+    type: 'issue',
+    amount: claimed.initialAmount,
+    note: 'Gift card purchased'
+  });
+
+  await deliverGiftCard(await GiftCard.findById(claimed._id));
+};
+
+// Give away a gift card (promotions, goodwill, ...) without payment
+const issueGiftCard = async ({ amount, recipientEmail, recipientName, message, expiresAt, adminId }) => {
+  const value = parseInt(amount);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw createHttpError(400, 'Amount must be a positive number of cents');
+  }
+
+  const giftCard = new GiftCard({
+    code: GiftCard.generateCode(),
+    initialAmount: value,
+    status: 'active',
+    expiresAt: expiresAt ? new Date(expiresAt) : expiryDate(),
+    recipientEmail,
+    recipientName,
+    message,
+    issuedBy: adminId
+  });
+
+  try {
+    await giftCard.save();
+  } catch (err) {
+    if (err.name === 'ValidationError') throw createHttpError(400, err.message);
+    throw err;
+  }
+
+  await postEntry({
+    giftCardId: giftCard._id,
+    type: 'issue',
+    amount: value,
+    note: 'Issued by admin',
+    createdBy: adminId
+  });
+
+  const issued = await GiftCard.findById(giftCard._id);
+  await deliverGiftCard(issued);
+  return issued;
+};
+
+// Write off whatever is left on cards past their expiry date
+const expireGiftCards = async (now = new Date()) => {
+  const expiring = await GiftCard.find({ status: 'active', expiresAt: { $lte: now } }).select('_id');
+
+  let expired = 0;
+  for (const { _id } of expiring) {
+    const claimed = await GiftCard.findOneAndUpdate(
+      { _id, status: 'active' },
+      { status: 'expired' },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    if (claimed.balance > 0) {
+      await postEntry({
+        giftCardId: claimed._id,
+        type: 'expire',
+        amount: -claimed.balance,
+        note: 'Gift card expired'
+      });
+    }
+    expired++;
+  }
+
+  return expired;
+};
+
+// Expire gift cards daily at 1am server time
+cron.schedule('0 1 * * *', async () => {
+  try {
+    const expired = await expireGiftCards();
+    if (expired > 0) console.log(`Expired ${expired} gift card(s)`);
+  } catch (error) {
+    console.error('Error expiring gift cards:', error);
+  }
+});
+
+module.exports = {
+  findUsableGiftCard,
+  purchaseGiftCard,
+  activatePurchasedGiftCard,
+  issueGiftCard,
+  expireGiftCards
+};
@@ -0,0 +1,154 @@
+const cron = require('node-cron');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { escapeHtml, sendMail } = require('./mailer');
+
+const DEFAULT_REORDER_POINT = parseInt(process.env.LOW_STOCK_DEFAULT_REORDER_POINT) || 5;
+// Sales window used for velocity
+const VELOCITY_DAYS = parseInt(process.env.LOW_STOCK_VELOCITY_DAYS) || 30;
+// Also flag products above their reorder point that will run out this soon
+const MIN_DAYS_OF_COVER = parseInt(process.env.LOW_STOCK_MIN_DAYS_OF_COVER) || 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Units sold per product over the last `days`, from paid orders. Bundles
+// sold count towards each of their components.
+const getUnitsSold = async (days) => {
+  const sales = await Order.aggregate([
+    {
+      $match: {
+        status: { $in: Order.PAID_STATUSES },
+        createdAt: { $gte: new Date(Date.now() - days * DAY) }
+      }
+    },
+    { $unwind: '$items' },
+    {
+      $project: {
+        lines: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$items.bundleItems', []] } }, 0] },
+            {
+              $map: {
+                input: '$items.bundleItems',
+                as: 'part',
+                in: { productId: '$$part.productId', quantity: { $multiply: ['$$part.quantity', '$items.quantity'] } }
+              }
+            },
+            [{ productId: '$items.productId', quantity: '$items.quantity' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$lines' },
+    { $group: { _id: '$lines.productId', unitsSold: { $sum: '$lines.quantity' } } }
+  ]);
+
+  return new Map(sales.map(sale => [sale._id.toString(), sale.unitsSold]));
+};
+
+// Stock position of every active product: reorder point, sales velocity
+// and days of cover (null when nothing sold in the window). With
+// lowOnly, just the products that need reordering, most urgent first.
+const getStockReport = async ({ days = VELOCITY_DAYS, lowOnly = true } = {}) => {
+  const [products, unitsSold] = await Promise.all([
+    // Bundles are restocked through their components
+    Product.find({ isActive: true, 'bundleItems.0': { $exists: false } })
+      .select('name category stock reorderPoint reorderQuantity'),
+    getUnitsSold(days)
+  ]);
+
+  const report = products.map(product => {
+    const sold = unitsSold.get(product._id.toString()) || 0;
+    const dailyVelocity = sold / days;
+    const reorderPoint = product.reorderPoint ?? DEFAULT_REORDER_POINT;
+    const daysOfCover = dailyVelocity > 0 ? Math.floor(product.stock / dailyVelocity) : null;
+
+    let reason = null;
+    if (product.stock <= reorderPoint) reason = 'at_or_below_reorder_point';
+    else if (daysOfCover !== null && daysOfCover <= MIN_DAYS_OF_COVER) reason = 'low_days_of_cover';
+
+    return {
+      productId: product._id,
+      name: product.name,
+      category: product.category,
+      stock: product.stock,
+      reorderPoint,
+      reorderQuantity: product.reorderQuantity ?? null,
+      unitsSold: sold,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      daysOfCover,
+      reason
+    };
+  });
+
+  return report
+    .filter(line => !lowOnly || line.reason)
+    .sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity) || a.stock - b.stock);
+};
+
+const digestRecipients = async () => {
+  if (process.env.LOW_STOCK_DIGEST_TO) {
+    return process.env.LOW_STOCK_DIGEST_TO.split(',').map(email => email.trim()).filter(Boolean);
+  }
+  const admins = await User.find({ role: 'admin' }).select('email');
+  return admins.map(admin => admin.email);
+};
+
+// Email the admins the current low-stock list. Nothing is sent when every
+// product is comfortably stocked.
+const sendLowStockDigest = async () => {
+  const report = await getStockReport();
+  if (report.length === 0) return 0;
+
+  const recipients = await digestRecipients();
+  if (recipients.length === 0) return 0;
+
+  const rows = report.map(line => `
+        <tr>
+          <td style="padding: 4px 8px;">${escapeHtml(line.name)}</td>
+          <td style="padding: 4px 8px; text-align: right;">${line.stock}</td>
+          <td style="padding: 4px 8px; text-align: right;">${line.reorderPoint}</td>
+          <td style="padding: 4px 8px; text-align: right;">${line.dailyVelocity}</td>
+          <td style="padding: 4px 8px; text-align: right;">${line.daysOfCover ?? '-'}</td>
+          <td style="padding: 4px 8px; text-align: right;">${line.reorderQuantity ?? '-'}</td>
+        </tr>`).join('');
+
+  await sendMail({
+    to: recipients.join(','),
+    subject: `Low stock: ${report.length} product(s) to reorder`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+        <h2 style="color: #333;">Products to reorder</h2>
+        <p>Sales velocity is units per day over the last ${VELOCITY_DAYS} days.</p>
+        <table style="border-collapse: collapse;">
+          <tr>
+            <th style="padding: 4px 8px; text-align: left;">Product</th>
+            <th style="padding: 4px 8px;">Stock</th>
+            <th style="padding: 4px 8px;">Reorder point</th>
+            <th style="padding: 4px 8px;">Sold / day</th>
+            <th style="padding: 4px 8px;">Days of cover</th>
+            <th style="padding: 4px 8px;">Usual order</th>
+          </tr>${rows}
+        </table>
+      </div>
+    `
+  });
+
+  return report.length;
+};
+
+// Daily digest at 8am server time
+cron.schedule('0 8 * * *', async () => {
+  try {
+    const count = await sendLowStockDigest();
+    if (count > 0) console.log(`Sent low stock digest for ${count} product(s)`);
+  } catch (error) {
+    console.error('Error sending low stock digest:', error);
+  }
+});
+
+module.exports = {
+  getStockReport,
+  sendLowStockDigest
+};
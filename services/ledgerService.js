@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const LedgerEntry = require('../models/LedgerEntry');
+const createHttpError = require('../utils/httpError');
+
+// Stripe will not charge less than this, so credit is never used in a way
+// that leaves a smaller amount to pay by card
+const MIN_CARD_CHARGE = 50;
+
+// Change a gift card balance (giftCardId) or a customer's store credit
+// (userId) and record it in the ledger. Debits only go through while the
+// balance covers them, so the same credit can never be spent twice.
+const postEntry = async ({ giftCardId, userId, type, amount, orderId, refundId, note, createdBy }) => {
+  const Model = giftCardId ? GiftCard : User;
+  const field = giftCardId ? 'balance' : 'storeCreditBalance';
+
+  const filter = { _id: giftCardId || userId };
+  if (amount < 0) filter[field] = { $gte: -amount };
+
+  const account = await Model.findOneAndUpdate(filter, { $inc: { [field]: amount } }, { new: true })
+    .select(`${field} currency`);
+  if (!account) {
+    throw createHttpError(409, giftCardId ? 'Not enough balance left on this gift card' : 'Not enough store credit');
+  }
+
+  return LedgerEntry.create({
+    account: giftCardId ? 'gift_card' : 'store_credit',
+    giftCardId,
+    userId,
+    type,
+    amount,
+    balanceAfter: account[field],
+    currency: account.currency || 'usd',
+    orderId,
+    refundId,
+    note,
+    createdBy
+  });
+};
+
+// Balance according to the ledger alone, to check the stored one against
+const ledgerBalance = async ({ giftCardId, userId }) => {
+  const match = giftCardId
+    ? { giftCardId: new mongoose.Types.ObjectId(giftCardId) }
+    : { account: 'store_credit', userId: new mongoose.Types.ObjectId(userId) };
+
+  const [totals] = await LedgerEntry.aggregate([
+    { $match: match },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+  return totals ? totals.balance : 0;
+};
+
+// Share the order total out over the available credit, gift card first.
+// Takes back some credit when it would leave less than Stripe can charge.
+const planCredits = (total, sources) => {
+  let remaining = total;
+  const plan = sources.map(source => {
+    const amount = Math.min(source.available, remaining);
+    remaining -= amount;
+    return { ...source, amount };
+  });
+
+  if (remaining > 0 && remaining < MIN_CARD_CHARGE) {
+    let shortBy = MIN_CARD_CHARGE - remaining;
+    for (const line of [...plan].reverse()) {
+      const cut = Math.min(line.amount, shortBy);
+      line.amount -= cut;
+      shortBy -= cut;
+    }
+  }
+
+  return plan.filter(line => line.amount > 0);
+};
+
+// Put a gift card and/or the customer's store credit towards a new order.
+// The credit is taken straight away, like stock, and given back by
+// releaseCredits if the order is never paid.
+const applyCredits = async (order, { giftCard, useStoreCredit = false } = {}) => {
+  const sources = [];
+  if (giftCard) {
+    sources.push({ source: 'gift_card', giftCardId: giftCard._id, code: giftCard.maskedCode, available: giftCard.balance });
+  }
+  if (useStoreCredit && order.userId) {
+    const user = await User.findById(order.userId).select('storeCreditBalance');
+    if (user && user.storeCreditBalance > 0) {
+      sources.push({ source: 'store_credit', available: user.storeCreditBalance });
+    }
+  }
+
+  const plan = planCredits(order.total, sources);
+  const taken = [];
+
+  try {
+    for (const line of plan) {
+      await postEntry({
+        giftCardId: line.giftCardId,
+        userId: order.userId,
+        type: 'redeem',
+        amount: -line.amount,
+        orderId: order._id,
+        note: `Order ${order.orderNumber}`
+      });
+      taken.push(line);
+    }
+  } catch (err) {
+    for (const line of taken) {
+      await postEntry({
+        giftCardId: line.giftCardId,
+        userId: order.userId,
+        type: 'release',
+        amount: line.amount,
+        orderId: order._id,
+        note: `Order ${order.orderNumber} not placed`
+      });
+    }
+    throw err;
+  }
+
+  order.credits = plan.map(({ source, giftCardId, code, amount }) => ({ source, giftCardId, code, amount }));
+  await order.save();
+  return order;
+};
+
+// Give the credit back when an order is cancelled before it was paid.
+// Each line is flagged first so it can never be given back twice.
+const releaseCredits = async (order) => {
+  for (const credit of order.credits.filter(line => line.status === 'applied')) {
+    const claimed = await Order.updateOne(
+      { _id: order._id, credits: { $elemMatch: { _id: credit._id, status: 'applied' } } },
+      { $set: { 'credits.$.status': 'released' } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    credit.status = 'released';
+    await postEntry({
+      giftCardId: credit.giftCardId,
+      userId: order.userId,
+      type: 'release',
+      amount: credit.amount,
+      orderId: order._id,
+      note: `Order ${order.orderNumber} cancelled`
+    });
+  }
+};
+
+// Credit put towards an order that has not been refunded as credit yet
+const creditRefundable = async (order) => {
+  const [refunded] = await Refund.aggregate([
+    { $match: { orderId: order._id, method: 'store_credit', status: 'succeeded' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return Math.max(0, order.creditTotal - (refunded ? refunded.amount : 0));
+};
+
+// Pay a refund back as credit: onto the gift cards the order was paid
+// with, up to what each paid, and anything more to the customer's store
+// credit. Guests have no store credit account.
+const refundToCredit = async ({ order, amount, refundId, actor }) => {
+  const returned = await LedgerEntry.aggregate([
+    { $match: { orderId: order._id, account: 'gift_card', type: 'refund_to_credit' } },
+    { $group: { _id: '$giftCardId', amount: { $sum: '$amount' } } }
+  ]);
+
+  let remaining = amount;
+  const plan = [];
+  for (const credit of order.credits.filter(line => line.source === 'gift_card' && line.status === 'applied')) {
+    const alreadyReturned = returned.find(line => line._id.equals(credit.giftCardId));
+    const open = credit.amount - (alreadyReturned ? alreadyReturned.amount : 0);
+    const share = Math.min(open, remaining);
+    if (share > 0) {
+      plan.push({ giftCardId: credit.giftCardId, amount: share });
+      remaining -= share;
+    }
+  }
+
+  if (remaining > 0) {
+    if (!order.userId) {
+      throw createHttpError(409, 'Guest orders can only be refunded as credit to the gift card they were paid with');
+    }
+    plan.push({ userId: order.userId, amount: remaining });
+  }
+
+  for (const line of plan) {
+    await postEntry({
+      giftCardId: line.giftCardId,
+      userId: order.userId,
+      type: 'refund_to_credit',
+      amount: line.amount,
+      orderId: order._id,
+      refundId,
+      note: `Refund on order ${order.orderNumber}`,
+      createdBy: actor
+    });
+  }
+};
+
+module.exports = {
+  postEntry,
+  ledgerBalance,
+  applyCredits,
+  releaseCredits,
+  creditRefundable,
+  refundToCredit
+};
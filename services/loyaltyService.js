@@ -0,0 +1,349 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const createHttpError = require('../utils/httpError');
+
+// Entry types a given order, booking or review can only earn or use once
+const ONCE_PER_SOURCE = {
+  earn_order: 'orderId',
+  redeem: 'orderId',
+  release: 'orderId',
+  earn_booking: 'bookingId',
+  earn_review: 'reviewId'
+};
+
+// Add points to (or take them from) a customer and record the change in
+// their history. Debits other than reversals only go through while the
+// balance covers them. Returns null when nothing was posted: a duplicate,
+// too few points or no such user.
+const postPoints = async ({ userId, type, points, orderId, bookingId, reviewId, note, createdBy }) => {
+  const entry = { type, points, orderId, bookingId, reviewId, note, createdBy };
+  const filter = { _id: userId };
+
+  const sourceField = ONCE_PER_SOURCE[type];
+  if (sourceField) {
+    filter['loyalty.entries'] = { $not: { $elemMatch: { type, [sourceField]: entry[sourceField] } } };
+  }
+  if (points < 0 && type !== 'reverse') {
+    filter['loyalty.points'] = { $gte: -points };
+  }
+
+  return User.findOneAndUpdate(
+    filter,
+    { $inc: { 'loyalty.points': points }, $push: { 'loyalty.entries': entry } },
+    { new: true }
+  ).select('loyalty.points loyalty.tier');
+};
+
+// What the customer has spent over the program's window, less refunds
+const rollingSpend = async (userId, program) => {
+  const since = new Date(Date.now() - program.tierWindowDays * 24 * 60 * 60 * 1000);
+  const [totals] = await Order.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), status: { $in: Order.PAID_STATUSES }, createdAt: { $gte: since } } },
+    { $group: { _id: null, spend: { $sum: { $subtract: ['$total', '$refundedTotal'] } } } }
+  ]);
+  return totals ? Math.max(0, totals.spend) : 0;
+};
+
+const refreshTier = async (userId, program) => {
+  program = program || await LoyaltyProgram.getProgram();
+  const spend = await rollingSpend(userId, program);
+  const tier = program.tierFor(spend);
+
+  await User.updateOne(
+    { _id: userId },
+    { 'loyalty.tier': tier ? tier.name : null, 'loyalty.tierSpend': spend, 'loyalty.tierUpdatedAt': new Date() }
+  );
+  return tier;
+};
+
+// The customer's current tier with its benefits, or null
+const getMemberTier = async (userId, program) => {
+  program = program || await LoyaltyProgram.getProgram();
+  if (!program.isActive) return null;
+
+  const user = await User.findById(userId).select('loyalty.tier');
+  return user && user.loyalty.tier ? program.findTier(user.loyalty.tier) : null;
+};
+
+// Price a points redemption against what is left to pay for the goods.
+// Asking for more points than the order can take uses only as many as it
+// needs. Returns a discount line for priceCart.
+const quoteRedemption = async ({ userId, points, merchandiseTotal }) => {
+  const requested = parseInt(points);
+  if (!Number.isInteger(requested) || requested <= 0) {
+    throw createHttpError(400, 'Points to redeem must be a positive whole number');
+  }
+  if (!userId) throw createHttpError(400, 'Sign in to use loyalty points');
+
+  const program = await LoyaltyProgram.getProgram();
+  if (!program.isActive) throw createHttpError(400, 'Loyalty points cannot be redeemed right now');
+  if (requested < program.minRedeemPoints) {
+    throw createHttpError(400, `At least ${program.minRedeemPoints} points must be redeemed at once`);
+  }
+
+  const user = await User.findById(userId).select('loyalty.points');
+  if (!user || user.loyalty.points < requested) {
+    throw createHttpError(400, `You only have ${user ? Math.max(0, user.loyalty.points) : 0} points`);
+  }
+
+  const cap = Math.floor(merchandiseTotal * program.maxRedeemPercent / 100);
+  const amount = Math.min(cap, Math.floor(requested * 100 / program.pointsPerDollarOff));
+  if (amount <= 0) throw createHttpError(400, 'Loyalty points cannot be used on this order');
+
+  const used = Math.min(requested, Math.ceil(amount * program.pointsPerDollarOff / 100));
+  return {
+    source: 'loyalty',
+    description: `${used} loyalty points`,
+    amount,
+    points: used
+  };
+};
+
+// Take the points for a redemption when the order is placed. They are
+// given back by releaseOrderPoints if the order is cancelled.
+const redeemOrderPoints = async (order) => {
+  const discount = order.discounts.find(d => d.source === 'loyalty');
+  if (!discount || !order.userId) return;
+
+  const user = await postPoints({
+    userId: order.userId,
+    type: 'redeem',
+    points: -discount.points,
+    orderId: order._id,
+    note: `Order ${order.orderNumber}`
+  });
+  if (!user) throw createHttpError(409, 'Not enough loyalty points');
+};
+
+const releaseOrderPoints = async (order) => {
+  const discount = order.discounts.find(d => d.source === 'loyalty');
+  if (!discount || !order.userId) return;
+
+  await postPoints({
+    userId: order.userId,
+    type: 'release',
+    points: discount.points,
+    orderId: order._id,
+    note: `Order ${order.orderNumber} cancelled`
+  });
+};
+
+// Points for a paid order: pointsPerDollar on what the goods cost after
+// discounts (not shipping or tax), times the customer's tier multiplier
+const awardOrderPoints = async (order) => {
+  if (!order.userId) return;
+
+  const program = await LoyaltyProgram.getProgram();
+  if (program.isActive) {
+    const tier = await getMemberTier(order.userId, program);
+    const dollars = (order.subtotal - order.discountTotal) / 100;
+    const points = Math.floor(dollars * program.pointsPerDollar * (tier ? tier.earnMultiplier : 1));
+
+    if (points > 0) {
+      const user = await postPoints({
+        userId: order.userId,
+        type: 'earn_order',
+        points,
+        orderId: order._id,
+        note: `Order ${order.orderNumber}`
+      });
+      if (user) {
+        await Order.updateOne({ _id: order._id }, { pointsEarned: points });
+        order.pointsEarned = points;
+      }
+    }
+  }
+
+  await refreshTier(order.userId, program);
+};
+
+// Take back the share of an order's points that has been refunded. Safe to
+// call after every refund; it only ever takes back what is still owed.
+const reverseOrderPoints = async (order) => {
+  if (!order.userId) return;
+
+  // Read the counters fresh; the order passed in may predate the award
+  const current = await Order.findById(order._id).select('total refundedTotal pointsEarned pointsReversed');
+  if (current.pointsEarned > 0 && current.total > 0) {
+    const kept = Math.floor(current.pointsEarned * current.refundableAmount() / current.total);
+    const owed = current.pointsEarned - kept - current.pointsReversed;
+
+    // Claim the reversal on the order first so it is never taken twice
+    const claimed = owed > 0 && await Order.findOneAndUpdate(
+      { _id: order._id, pointsReversed: current.pointsReversed },
+      { $inc: { pointsReversed: owed } }
+    );
+    if (claimed) {
+      await postPoints({
+        userId: order.userId,
+        type: 'reverse',
+        points: -owed,
+        orderId: order._id,
+        note: `Refund on order ${order.orderNumber}`
+      });
+    }
+  }
+
+  await refreshTier(order.userId);
+};
+
+// Flat points for a completed salon appointment. Bookings made while signed
+// out are matched to an account by email.
+const awardBookingPoints = async (booking) => {
+  const program = await LoyaltyProgram.getProgram();
+  if (!program.isActive || program.bookingPoints <= 0) return null;
+
+  let userId = booking.userId;
+  if (!userId) {
+    const user = await User.findOne({ email: String(booking.email).trim().toLowerCase() }).select('_id');
+    if (!user) return null;
+    userId = user._id;
+    booking.userId = userId;
+    await booking.save();
+  }
+
+  return postPoints({
+    userId,
+    type: 'earn_booking',
+    points: program.bookingPoints,
+    bookingId: booking._id,
+    note: `${booking.serviceType} on ${booking.date}`
+  });
+};
+
+const awardReviewPoints = async (review) => {
+  if (!review.verifiedPurchase) return null;
+
+  const program = await LoyaltyProgram.getProgram();
+  if (!program.isActive || program.reviewPoints <= 0) return null;
+
+  return postPoints({
+    userId: review.userId,
+    type: 'earn_review',
+    points: program.reviewPoints,
+    reviewId: review._id,
+    note: 'Product review'
+  });
+};
+
+// Manual correction by an admin, e.g. a goodwill gesture
+const adjustPoints = async ({ userId, points, note, adminId }) => {
+  const value = parseInt(points);
+  if (!Number.isInteger(value) || value === 0) {
+    throw createHttpError(400, 'Points must be a non-zero whole number');
+  }
+  if (!note) throw createHttpError(400, 'A note explaining the adjustment is required');
+
+  const user = await postPoints({ userId, type: 'adjust', points: value, note, createdBy: adminId });
+  if (!user) {
+    if (!await User.exists({ _id: userId })) throw createHttpError(404, 'User not found');
+    throw createHttpError(409, 'Not enough loyalty points');
+  }
+  return user;
+};
+
+// Balance, tier and what it takes to reach the next one
+const getLoyaltySummary = async (userId) => {
+  const program = await LoyaltyProgram.getProgram();
+  const user = await User.findById(userId).select('loyalty.points loyalty.tier loyalty.tierSpend loyalty.tierUpdatedAt');
+  if (!user) throw createHttpError(404, 'User not found');
+
+  const tier = user.loyalty.tier ? program.findTier(user.loyalty.tier) : null;
+  const nextTier = program.tiers.find(t => t.minSpend > user.loyalty.tierSpend);
+
+  return {
+    isActive: program.isActive,
+    points: user.loyalty.points,
+    pointsValue: Math.floor(Math.max(0, user.loyalty.points) * 100 / program.pointsPerDollarOff),
+    tier,
+    tierSpend: user.loyalty.tierSpend,
+    tierUpdatedAt: user.loyalty.tierUpdatedAt,
+    nextTier: nextTier
+      ? { name: nextTier.name, spendNeeded: nextTier.minSpend - user.loyalty.tierSpend }
+      : null,
+    rules: {
+      pointsPerDollar: program.pointsPerDollar,
+      bookingPoints: program.bookingPoints,
+      reviewPoints: program.reviewPoints,
+      pointsPerDollarOff: program.pointsPerDollarOff,
+      minRedeemPoints: program.minRedeemPoints,
+      maxRedeemPercent: program.maxRedeemPercent,
+      tierWindowDays: program.tierWindowDays,
+      tiers: program.tiers
+    }
+  };
+};
+
+// Newest first
+const getLoyaltyHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const [result] = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(userId) } },
+    {
+      $project: {
+        total: { $size: { $ifNull: ['$loyalty.entries', []] } },
+        entries: {
+          $slice: [
+            { $reverseArray: { $ifNull: ['$loyalty.entries', []] } },
+            (pageNum - 1) * pageSize,
+            pageSize
+          ]
+        }
+      }
+    }
+  ]);
+  if (!result) throw createHttpError(404, 'User not found');
+
+  return {
+    entries: result.entries,
+    pagination: {
+      page: pageNum,
+      limit: pageSize,
+      total: result.total,
+      pages: Math.ceil(result.total / pageSize)
+    }
+  };
+};
+
+// Orders drop out of the rolling window over time, so tiers are looked at
+// again daily for everyone who has spent anything in it
+const refreshAllTiers = async () => {
+  const program = await LoyaltyProgram.getProgram();
+  const users = await User.find({ 'loyalty.tierSpend': { $gt: 0 } }).select('_id');
+
+  for (const { _id } of users) {
+    await refreshTier(_id, program);
+  }
+  return users.length;
+};
+
+// Recalculate tiers daily at 2am server time
+cron.schedule('0 2 * * *', async () => {
+  try {
+    const refreshed = await refreshAllTiers();
+    if (refreshed > 0) console.log(`Refreshed loyalty tiers for ${refreshed} customer(s)`);
+  } catch (error) {
+    console.error('Error refreshing loyalty tiers:', error);
+  }
+});
+
+module.exports = {
+  getMemberTier,
+  quoteRedemption,
+  redeemOrderPoints,
+  releaseOrderPoints,
+  awardOrderPoints,
+  reverseOrderPoints,
+  awardBookingPoints,
+  awardReviewPoints,
+  adjustPoints,
+  refreshTier,
+  refreshAllTiers,
+  getLoyaltySummary,
+  getLoyaltyHistory
+};
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const jwt = require('jsonwebtoken');
+
+// Shared transporter for the scheduled customer emails
+const transporter = nodemailer.createTransport({
+  service: 'gmail',
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+const CLIENT_URL = process.env.CLIENT_URL || 'https://beuaty-styles.vercel.app';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+// Escape customer- and admin-entered text before putting it in an email
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const sendMail = ({ to, subject, html }) => transporter.sendMail({
+  from: process.env.EMAIL_USER,
+  to,
+  subject,
+  html
+});
+
+// Unsubscribe links stay valid this long after the email is sent
+const UNSUBSCRIBE_TOKEN_DAYS = parseInt(process.env.UNSUBSCRIBE_TOKEN_DAYS) || 90;
+
+// Unsubscribe tokens are signed with their own secret so one can never be
+// used as a sign-in token. Without UNSUBSCRIBE_SECRET a key is derived
+// from JWT_SECRET, which is just as unusable for signing in.
+const unsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET
+  || crypto.createHmac('sha256', String(process.env.JWT_SECRET)).update('unsubscribe').digest('hex');
+
+// Unsubscribe links carry a signed token naming the user and the email type
+// (a key of User.emailPreferences), so they work without signing in
+const unsubscribeUrl = (userId, list) => {
+  const token = jwt.sign(
+    { id: userId.toString(), list, purpose: 'unsubscribe' },
+    unsubscribeSecret(),
+    { expiresIn: `${UNSUBSCRIBE_TOKEN_DAYS}d` }
+  );
+  return `${API_URL}/api/user/unsubscribe?token=${token}`;
+};
+
+// Returns { id, list } or null when the token is not a valid unsubscribe token
+const verifyUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, unsubscribeSecret());
+    return decoded.purpose === 'unsubscribe' ? { id: decoded.id, list: decoded.list } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  CLIENT_URL,
+  API_URL,
+  escapeHtml,
+  sendMail,
+  unsubscribeUrl,
+  verifyUnsubscribeToken
+};
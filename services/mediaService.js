@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const storage = require('./storage');
+const createHttpError = require('../utils/httpError');
+
+// Upload limits
+const MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 5 * 1024 * 1024; // 5MB
+const MAX_PIXELS = parseInt(process.env.MEDIA_MAX_PIXELS) || 40 * 1000 * 1000; // 40 megapixels
+
+// Resized copies kept next to every original, as WebP. Sizes are the
+// longest side in pixels; smaller images are never enlarged.
+const THUMBNAIL_SIZES = {
+  small: 200,
+  medium: 800
+};
+
+// What the file really is, going by its first bytes rather than the name
+// or the type the browser claimed
+const sniffImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { contentType: 'image/jpeg', extension: 'jpg' };
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return { contentType: 'image/png', extension: 'png' };
+  }
+  const head = buffer.subarray(0, 6).toString('ascii');
+  if (head === 'GIF87a' || head === 'GIF89a') {
+    return { contentType: 'image/gif', extension: 'gif' };
+  }
+  if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    return { contentType: 'image/webp', extension: 'webp' };
+  }
+  return null;
+};
+
+// Multer in memory, so nothing reaches the disk before it has been checked.
+// Multer's own errors (too large, too many files) come back as 400s.
+const imageUpload = (field, maxCount = 1) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_BYTES, files: maxCount }
+  }).array(field, maxCount);
+
+  return (req, res, next) => upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Images can be at most ${Math.round(MAX_BYTES / 1024 / 1024)}MB`
+        : err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Upload at most ${maxCount} image(s) in the "${field}" field`
+          : err.message;
+      return res.status(400).json({ message });
+    }
+    next(err);
+  });
+};
+
+const siblingKey = (key, file) => path.posix.join(path.posix.dirname(key), file);
+
+// Check an uploaded image and store it with its thumbnails under folder
+// (e.g. "products/<id>"). The original is re-encoded in its own format so
+// camera metadata such as GPS position is not published, and turned the
+// right way up. Returns a mediaSchema object.
+const storeImage = async (buffer, { folder }) => {
+  const type = sniffImageType(buffer);
+  if (!type) throw createHttpError(400, 'Only JPEG, PNG, GIF and WebP images can be uploaded');
+  if (buffer.length > MAX_BYTES) {
+    throw createHttpError(400, `Images can be at most ${Math.round(MAX_BYTES / 1024 / 1024)}MB`);
+  }
+
+  const options = { limitInputPixels: MAX_PIXELS, animated: type.extension === 'gif' };
+  let original;
+  try {
+    original = await sharp(buffer, options).rotate().toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    throw createHttpError(400, 'The image could not be read; it may be damaged or too large');
+  }
+
+  const key = `${folder}/${crypto.randomUUID()}/original.${type.extension}`;
+  const stored = [];
+
+  try {
+    stored.push(await storage.put(key, original.data, { contentType: type.contentType }));
+
+    const thumbnails = {};
+    for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+      const resized = await sharp(original.data)
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+      const thumbnail = await storage.put(siblingKey(key, `${name}.webp`), resized, { contentType: 'image/webp' });
+      stored.push(thumbnail);
+      thumbnails[name] = thumbnail.url;
+    }
+
+    return {
+      key,
+      url: stored[0].url,
+      thumbnails,
+      contentType: type.contentType,
+      width: original.info.width,
+      height: original.info.pageHeight || original.info.height,
+      size: original.data.length
+    };
+  } catch (err) {
+    // Leave nothing half stored behind
+    await Promise.all(stored.map(file => storage.remove(file.key).catch(() => {})));
+    throw err;
+  }
+};
+
+// Remove an image stored by storeImage, thumbnails included
+const removeImage = async (media) => {
+  if (!media || !media.key) return;
+
+  const keys = [media.key, ...Object.keys(THUMBNAIL_SIZES).map(name => siblingKey(media.key, `${name}.webp`))];
+  await Promise.all(keys.map(key => storage.remove(key).catch(err => {
+    console.error(`Failed to remove media ${key}:`, err.message);
+  })));
+};
+
+module.exports = {
+  MAX_BYTES,
+  THUMBNAIL_SIZES,
+  sniffImageType,
+  imageUpload,
+  storeImage,
+  removeImage
+};
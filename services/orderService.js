@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Payment = require('../models/Payment');
+const CouponRedemption = require('../models/CouponRedemption');
+const { restoreStock, releaseReservations } = require('./reservationService');
+const { refundToOriginalPayment } = require('./refundService');
+const { releaseRedemptions } = require('./couponService');
+const { releaseCredits } = require('./ledgerService');
+const { releaseOrderPoints } = require('./loyaltyService');
+const { convertReferral } = require('./referralService');
+const { toMinorUnits } = require('../utils/money');
+const { parseQuantity } = require('../utils/cart');
+const createHttpError = require('../utils/httpError');
+
+// Turn [{ productId, variantId, quantity }] into order lines with a
+// product snapshot. Products with variants must say which one; bundles
+// carry their components so stock is taken from those.
+const buildOrderItems = async (items) => {
+  const productIds = items.map(item => item.productId);
+  const products = await Product.find({ _id: { $in: productIds } });
+
+  return items.map(item => {
+    const product = products.find(p => p._id.toString() === item.productId.toString());
+    if (!product) {
+      throw createHttpError(400, `Product ${item.productId} not found`);
+    }
+    if (!product.isActive) {
+      throw createHttpError(400, `${product.name} is no longer available`);
+    }
+
+    const quantity = parseQuantity(item.quantity);
+    if (!quantity) {
+      throw createHttpError(400, `Quantity of ${product.name} must be a whole number of at least 1`);
+    }
+
+    let variant = null;
+    if (product.hasVariants || item.variantId) {
+      if (!item.variantId) {
+        throw createHttpError(400, `Please choose an option for ${product.name}`);
+      }
+      variant = product.variants.id(item.variantId);
+      if (!variant || !variant.isActive) {
+        throw createHttpError(400, `The selected option of ${product.name} is no longer available`);
+      }
+    }
+
+    return {
+      productId: product._id,
+      variantId: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      variantName: variant ? variant.name : undefined,
+      bundleItems: product.isBundle ? product.bundleItems.map(({ productId, variantId, quantity }) => ({
+        productId,
+        variantId,
+        quantity
+      })) : undefined,
+      name: product.name,
+      unitPrice: toMinorUnits(product.priceFor(variant)),
+      quantity,
+      // Used for coupon and shipping rules, not stored on the order
+      category: product.category,
+      weight: product.weight || 0
+    };
+  });
+};
+
+// Only orders that were paid for and not refunded count, so starting a
+// checkout (or getting the money back) does not make a purchase
+const PURCHASED_STATUSES = Order.PAID_STATUSES.filter(status => status !== 'refunded');
+
+// Purchases of a single user in the shape the recommendation code expects:
+// [{ productId: <Product>, quantity, purchaseDate }]
+const getPurchaseHistory = async (userId) => {
+  const orders = await Order.find({ userId, status: { $in: PURCHASED_STATUSES } })
+    .sort({ createdAt: 1 })
+    .populate('items.productId');
+
+  return orders.flatMap(order => order.items
+    .filter(item => item.productId) // Skip products that have since been deleted
+    .map(item => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      purchaseDate: order.createdAt
+    })));
+};
+
+// Purchased product ids for other customers, used for collaborative filtering
+const getOtherCustomersPurchases = async (excludeUserId, limit = 50) => {
+  const customers = await Order.aggregate([
+    {
+      $match: {
+        userId: { $ne: new mongoose.Types.ObjectId(excludeUserId), $exists: true },
+        status: { $in: PURCHASED_STATUSES }
+      }
+    },
+    { $unwind: '$items' },
+    { $group: { _id: '$userId', products: { $addToSet: '$items.productId' } } },
+    { $limit: limit }
+  ]);
+
+  return customers.map(customer => ({
+    userId: customer._id,
+    purchaseHistory: customer.products.map(productId => ({ productId }))
+  }));
+};
+
+// Apply a status change on behalf of a customer, admin or the system
+const changeOrderStatus = async (order, status, { actorType, actor, note } = {}) => {
+  const previousStatus = order.status;
+
+  // Orders become refunded once refunds cover them (see refundService), so
+  // the money, refund total and loyalty points always move together
+  if (status === 'refunded') {
+    throw createHttpError(400, 'Refund the order instead; it is marked refunded once fully paid back');
+  }
+
+  // Likewise orders only become paid once the payment has come in (see
+  // paymentService), which commits their stock, coupons and points
+  if (status === 'paid') {
+    throw createHttpError(400, 'Orders are marked paid once their payment comes in');
+  }
+
+  // Cancelling after payment gives the customer their money back first, to
+  // the card and as credit the way they paid; orders recorded without a
+  // Stripe payment are settled by hand
+  if (status === 'cancelled' && order.canTransitionTo(status) && previousStatus !== 'pending_payment' && order.refundableAmount() > 0) {
+    try {
+      await refundToOriginalPayment({ order, reason: note || 'Order cancelled', actor, markRefunded: false });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+    }
+  }
+
+  order.transitionTo(status, { actorType, actor, note });
+  await order.save();
+
+  // Cancelled orders give their stock back: pending ones still hold a
+  // reservation (and any credit put towards them), paid ones have already
+  // had stock taken. Coupon uses and loyalty points spent come back too.
+  if (status === 'cancelled') {
+    if (previousStatus === 'pending_payment') {
+      await releaseReservations(order._id, 'cancelled');
+      await releaseCredits(order);
+    } else {
+      await restoreStock(order.items);
+    }
+    await releaseRedemptions(order._id);
+    await releaseOrderPoints(order);
+  }
+
+  // A referred customer's first delivered order rewards both sides
+  if (status === 'delivered') {
+    try {
+      await convertReferral(order);
+    } catch (err) {
+      console.error(`Failed to convert referral for order ${order._id}:`, err);
+    }
+  }
+
+  return order;
+};
+
+const hasPurchased = async (userId, productId) => {
+  const order = await Order.exists({ userId, 'items.productId': productId, status: { $in: PURCHASED_STATUSES } });
+  return Boolean(order);
+};
+
+// Attach orders placed as a guest to the account registered with the same
+// email, along with their payments and coupon uses. Only call this once the
+// account has verified the address. Returns how many moved.
+const claimGuestOrders = async (user) => {
+  const orders = await Order.find({ userId: null, email: user.email.toLowerCase() }).select('_id');
+  if (orders.length === 0) return 0;
+
+  const orderIds = orders.map(order => order._id);
+  await Order.updateMany({ _id: { $in: orderIds }, userId: null }, { userId: user._id });
+  await Payment.updateMany({ orderId: { $in: orderIds } }, { userId: user._id });
+  await CouponRedemption.updateMany({ orderId: { $in: orderIds } }, { userId: user._id });
+
+  return orderIds.length;
+};
+
+module.exports = {
+  buildOrderItems,
+  changeOrderStatus,
+  getPurchaseHistory,
+  getOtherCustomersPurchases,
+  hasPurchased,
+  claimGuestOrders,
+  PURCHASED_STATUSES
+};
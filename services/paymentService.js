@@ -0,0 +1,300 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const GuestCart = require('../models/GuestCart');
+const Payment = require('../models/Payment');
+const StripeEvent = require('../models/StripeEvent');
+const {
+  commitReservations,
+  stockLines,
+  stockFilter,
+  stockChange
+} = require('./reservationService');
+const {
+  cardRefundable,
+  refundOrder,
+  recordStripeRefunds,
+  settleStripeRefund,
+  recordDisputeLoss
+} = require('./refundService');
+const { confirmRedemptions } = require('./couponService');
+const { markCartRecovered } = require('./cartRecoveryService');
+const { activatePurchasedGiftCard } = require('./giftCardService');
+const { awardOrderPoints } = require('./loyaltyService');
+
+// Find the order a PaymentIntent pays for. Checkout stores the order id in
+// the intent metadata; fall back to the id saved on the order itself.
+const findOrderForPaymentIntent = async (paymentIntent) => {
+  const orderId = paymentIntent.metadata?.orderId;
+  if (orderId) {
+    const order = await Order.findById(orderId);
+    if (order) return order;
+  }
+  return Order.findOne({ paymentIntentId: paymentIntent.id });
+};
+
+const findPaymentForCharge = (charge) => {
+  const paymentIntentId = typeof charge.payment_intent === 'string'
+    ? charge.payment_intent
+    : charge.payment_intent?.id;
+  return Payment.findOne({ paymentIntentId });
+};
+
+// Take the ordered quantities out of stock when no reservation is left to
+// commit (e.g. it expired before a late payment succeeded). Never lets
+// stock go negative; anything we could not cover is reported back so it
+// can be followed up.
+const decrementStock = async (order) => {
+  const shortfalls = [];
+  const lines = stockLines(order.items);
+
+  for (const item of lines) {
+    const result = await Product.updateOne(
+      stockFilter(item, { available: true }),
+      stockChange(item, -item.quantity)
+    );
+
+    if (result.modifiedCount === 0) {
+      if (item.variantId) {
+        const product = await Product.findById(item.productId);
+        const variant = product && product.variants.id(item.variantId);
+        if (variant) {
+          variant.stock = 0;
+          await product.save(); // Recomputes the product total
+        }
+      } else {
+        await Product.updateOne({ _id: item.productId }, { $set: { stock: 0 } });
+      }
+      shortfalls.push(item.variantName ? `${item.name} (${item.variantName})` : item.name);
+    }
+  }
+
+  await Product.refreshBundleStock(lines.map(line => line.productId));
+  return shortfalls;
+};
+
+// Remove the ordered products from the customer's (or guest's) cart
+const clearOrderedItemsFromCart = async (order) => {
+  const update = {
+    $pull: {
+      cart: {
+        $or: order.items.map(item => ({ productId: item.productId, variantId: item.variantId || null }))
+      }
+    },
+    $unset: { cartCouponCode: 1 }
+  };
+
+  if (order.userId) {
+    await User.updateOne({ _id: order.userId }, update);
+  } else if (order.guestCartId) {
+    await GuestCart.updateOne({ _id: order.guestCartId }, update);
+  }
+};
+
+// Everything that follows an order being paid in full: stock, coupons,
+// loyalty points and the cart. Used for Stripe payments and for orders paid entirely with
+// gift cards or store credit.
+const fulfilPaidOrder = async (order, { paymentIntentId, note }) => {
+  const committed = await commitReservations(order._id);
+  const shortfalls = committed ? [] : await decrementStock(order);
+  if (paymentIntentId) order.paymentIntentId = paymentIntentId;
+  order.transitionTo('paid', {
+    note: shortfalls.length
+      ? `${note}; insufficient stock for ${shortfalls.join(', ')}`
+      : note
+  });
+  await order.save();
+
+  await confirmRedemptions(order._id);
+
+  try {
+    await awardOrderPoints(order);
+  } catch (err) {
+    console.error(`Failed to award loyalty points for order ${order._id}:`, err.message);
+  }
+
+  // Renewals were never in the cart
+  if (!order.subscriptionId) {
+    await clearOrderedItemsFromCart(order);
+    await markCartRecovered(order);
+  }
+};
+
+const handleGiftCardPaymentSucceeded = async (paymentIntent) => {
+  await Payment.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id },
+    {
+      giftCardId: paymentIntent.metadata.giftCardId,
+      userId: paymentIntent.metadata.userId,
+      chargeId: paymentIntent.latest_charge,
+      amount: paymentIntent.amount_received,
+      currency: paymentIntent.currency,
+      status: 'succeeded',
+      failureMessage: null
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  await activatePurchasedGiftCard(paymentIntent);
+};
+
+const handlePaymentSucceeded = async (paymentIntent) => {
+  if (paymentIntent.metadata?.giftCardId) return handleGiftCardPaymentSucceeded(paymentIntent);
+
+  const order = await findOrderForPaymentIntent(paymentIntent);
+  if (!order) {
+    console.warn(`No order found for PaymentIntent ${paymentIntent.id}`);
+    return;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id },
+    {
+      orderId: order._id,
+      userId: order.userId,
+      chargeId: paymentIntent.latest_charge,
+      amount: paymentIntent.amount_received,
+      currency: paymentIntent.currency,
+      status: 'succeeded',
+      failureMessage: null
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // Paid after the order was cancelled (e.g. the intent could not be
+  // cancelled in time): give the money straight back. The Refund record
+  // shows up against the order; if Stripe refuses, the event fails and is
+  // retried.
+  if (order.status === 'cancelled') {
+    const unrefunded = await cardRefundable(payment);
+    if (unrefunded > 0) {
+      await refundOrder({
+        order,
+        amount: unrefunded,
+        reason: `Paid after order ${order.orderNumber} was cancelled`,
+        markRefunded: false
+      });
+    }
+    return;
+  }
+
+  // Already fulfilled (e.g. the same intent reported twice under new event ids)
+  if (order.status !== 'pending_payment') return;
+
+  if (paymentIntent.amount_received < order.amountDue()) {
+    console.error(`PaymentIntent ${paymentIntent.id} received ${paymentIntent.amount_received} but order ${order.orderNumber} has ${order.amountDue()} to pay`);
+    return;
+  }
+
+  await fulfilPaidOrder(order, { paymentIntentId: paymentIntent.id, note: 'Paid via Stripe' });
+};
+
+const handlePaymentFailed = async (paymentIntent) => {
+  // The order stays pending, and keeps its stock hold, so the customer can
+  // retry with another card. If they do not, the hold expires and the
+  // expiry job cancels the order, giving back credit, points and coupons.
+  const order = await findOrderForPaymentIntent(paymentIntent);
+
+  await Payment.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id },
+    {
+      orderId: order?._id,
+      userId: order?.userId,
+      amount: paymentIntent.amount,
+      currency: paymentIntent.currency,
+      status: 'failed',
+      failureMessage: paymentIntent.last_payment_error?.message
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const handleChargeRefunded = async (charge) => {
+  const payment = await findPaymentForCharge(charge);
+  if (!payment) {
+    console.warn(`No payment found for refunded charge ${charge.id}`);
+    return;
+  }
+
+  // charge.amount_refunded includes refunds still pending, so the payment's
+  // totals are worked out from the refund records instead
+  await recordStripeRefunds(payment, charge);
+};
+
+const handleDispute = async (dispute) => {
+  const payment = await findPaymentForCharge(dispute);
+  if (!payment) {
+    console.warn(`No payment found for disputed charge ${dispute.charge}`);
+    return;
+  }
+
+  payment.status = 'disputed';
+  payment.dispute = {
+    id: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+    amount: dispute.amount
+  };
+  await payment.save();
+
+  // A lost dispute means the money has gone back to the card holder
+  if (dispute.status === 'lost') await recordDisputeLoss(payment, dispute);
+};
+
+const eventHandlers = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'charge.refunded': handleChargeRefunded,
+  'charge.refund.updated': settleStripeRefund,
+  'refund.updated': settleStripeRefund,
+  'charge.dispute.created': handleDispute,
+  'charge.dispute.updated': handleDispute,
+  'charge.dispute.closed': handleDispute
+};
+
+// Record the event before handling it. Returns false when another delivery
+// of the same event has already been (or is being) processed.
+const claimEvent = async (event) => {
+  try {
+    await StripeEvent.create({ eventId: event.id, type: event.type });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+
+    // Retry deliveries of events that failed last time
+    const retried = await StripeEvent.findOneAndUpdate(
+      { eventId: event.id, status: 'failed' },
+      { status: 'processing', error: null }
+    );
+    return Boolean(retried);
+  }
+};
+
+const handleStripeEvent = async (event) => {
+  const handler = eventHandlers[event.type];
+  if (!handler) return { handled: false };
+
+  if (!(await claimEvent(event))) return { handled: false, duplicate: true };
+
+  try {
+    await handler(event.data.object);
+    await StripeEvent.updateOne(
+      { eventId: event.id },
+      { status: 'processed', processedAt: new Date() }
+    );
+    return { handled: true };
+  } catch (err) {
+    await StripeEvent.updateOne(
+      { eventId: event.id },
+      { status: 'failed', error: err.message }
+    );
+    throw err;
+  }
+};
+
+module.exports = {
+  handleStripeEvent,
+  handlePaymentSucceeded,
+  fulfilPaidOrder,
+  decrementStock
+};
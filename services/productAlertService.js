@@ -0,0 +1,185 @@
+const cron = require('node-cron');
+const Product = require('../models/Product');
+const ProductAlert = require('../models/ProductAlert');
+const { API_URL, CLIENT_URL, escapeHtml, sendMail } = require('./mailer');
+const createHttpError = require('../utils/httpError');
+
+const ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+// Watch a product. Subscribing again with the same email updates the
+// existing alert instead of creating a second one.
+const subscribe = async ({ productId, type, targetPrice, email, userId }) => {
+  if (!ALERT_TYPES.includes(type)) {
+    throw createHttpError(400, `Alert type must be one of: ${ALERT_TYPES.join(', ')}`);
+  }
+
+  const product = await Product.findById(productId).select('name price stock isActive');
+  if (!product || !product.isActive) throw createHttpError(404, 'Product not found');
+
+  if (type === 'back_in_stock' && product.stock > 0) {
+    throw createHttpError(400, 'This product is in stock');
+  }
+  if (type === 'price_drop') {
+    const target = Number(targetPrice);
+    if (!Number.isFinite(target) || target < 0) {
+      throw createHttpError(400, 'A target price is required');
+    }
+    if (target >= product.price) {
+      throw createHttpError(400, `The target price must be below the current price of ${product.price}`);
+    }
+  }
+
+  const normalisedEmail = String(email || '').trim().toLowerCase();
+  const existing = await ProductAlert.findOne({ productId, type, email: normalisedEmail, status: 'active' });
+  const alert = existing || new ProductAlert({ productId, type, email: normalisedEmail });
+
+  if (userId) alert.userId = userId;
+  if (type === 'price_drop') alert.targetPrice = targetPrice;
+  alert.armed = true;
+
+  try {
+    await alert.save();
+  } catch (err) {
+    if (err.name === 'ValidationError') throw createHttpError(400, err.message);
+    if (err.code === 11000) throw createHttpError(409, 'You are already watching this product');
+    throw err;
+  }
+  return alert;
+};
+
+const cancelAlert = async (filter) => {
+  const alert = await ProductAlert.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!alert) throw createHttpError(404, 'Alert not found');
+  return alert;
+};
+
+const sendAlertEmail = (alert, product, { subject, message }) => sendMail({
+  to: alert.email,
+  subject,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">${escapeHtml(product.name)}</h2>
+      <p>${message}</p>
+      <p><a href="${CLIENT_URL}/products/${product._id}">View product</a></p>
+      <p style="color: #777; font-size: 12px;">
+        You asked us to let you know about this product.
+        <a href="${API_URL}/api/alerts/cancel/${alert.cancelToken}">Stop these alerts</a>
+      </p>
+    </div>
+  `
+});
+
+// Claim the alert for this event before emailing so an overlapping run
+// cannot send it twice
+const notify = async (alert, claim, update, product, email) => {
+  const claimed = await ProductAlert.findOneAndUpdate(
+    { _id: alert._id, status: 'active', ...claim },
+    { ...update, lastNotifiedAt: new Date(), $inc: { notificationCount: 1 } }
+  );
+  if (!claimed) return false;
+
+  try {
+    await sendAlertEmail(alert, product, email);
+    return true;
+  } catch (err) {
+    console.error(`Failed to send product alert ${alert._id}:`, err.message);
+    return false;
+  }
+};
+
+const processBackInStockAlerts = async () => {
+  const productIds = await ProductAlert.distinct('productId', { type: 'back_in_stock', status: 'active' });
+  const products = await Product.find({ _id: { $in: productIds } }).select('name price stock isActive');
+
+  // Sold out again: watchers who were told about the last restock get the next one
+  const soldOut = products.filter(product => product.stock <= 0).map(product => product._id);
+  await ProductAlert.updateMany(
+    { type: 'back_in_stock', status: 'active', armed: false, productId: { $in: soldOut } },
+    { armed: true }
+  );
+
+  let sent = 0;
+  for (const product of products.filter(p => p.stock > 0 && p.isActive)) {
+    const alerts = await ProductAlert.find({
+      productId: product._id,
+      type: 'back_in_stock',
+      status: 'active',
+      armed: true
+    });
+
+    for (const alert of alerts) {
+      const delivered = await notify(alert, { armed: true }, { armed: false }, product, {
+        subject: `Back in stock: ${product.name}`,
+        message: `Good news - ${escapeHtml(product.name)} is back in stock. Quantities are limited, so don't wait too long.`
+      });
+      if (delivered) sent++;
+    }
+  }
+
+  return sent;
+};
+
+const processPriceDropAlerts = async () => {
+  const productIds = await ProductAlert.distinct('productId', { type: 'price_drop', status: 'active' });
+  const products = await Product.find({ _id: { $in: productIds }, isActive: true }).select('name price priceHistory');
+
+  let sent = 0;
+  for (const product of products) {
+    const latest = product.priceHistory[product.priceHistory.length - 1];
+    if (!latest) continue;
+
+    // Each price change is one event: only alerts set up before it, with
+    // a target it reaches, and not yet told about it
+    const alerts = await ProductAlert.find({
+      productId: product._id,
+      type: 'price_drop',
+      status: 'active',
+      targetPrice: { $gte: latest.price },
+      createdAt: { $lte: latest.date },
+      lastPriceEntryId: { $ne: latest._id }
+    });
+
+    for (const alert of alerts) {
+      const delivered = await notify(
+        alert,
+        { lastPriceEntryId: { $ne: latest._id } },
+        { lastPriceEntryId: latest._id },
+        product,
+        {
+          subject: `Price drop: ${product.name}`,
+          message: `${escapeHtml(product.name)} is now ${latest.price}, at or below the ${alert.targetPrice} you were waiting for.`
+        }
+      );
+      if (delivered) sent++;
+    }
+  }
+
+  return sent;
+};
+
+const runProductAlerts = async () => {
+  const restocks = await processBackInStockAlerts();
+  const priceDrops = await processPriceDropAlerts();
+  return restocks + priceDrops;
+};
+
+// Check watched products every 10 minutes
+cron.schedule('*/10 * * * *', async () => {
+  try {
+    const sent = await runProductAlerts();
+    if (sent > 0) console.log(`Sent ${sent} product alert(s)`);
+  } catch (error) {
+    console.error('Error sending product alerts:', error);
+  }
+});
+
+module.exports = {
+  ALERT_TYPES,
+  subscribe,
+  cancelAlert,
+  runProductAlerts
+};
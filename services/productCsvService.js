@@ -0,0 +1,222 @@
+const Product = require('../models/Product');
+const { parseCsv, toCsvRow, readCell } = require('../utils/csv');
+const createHttpError = require('../utils/httpError');
+
+// Largest file accepted in one go
+const MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+
+// Columns in export order. Lists are separated by | within a cell.
+// Prices are in major units, as on the product (e.g. 19.99). Brands are
+// given by name and must already exist.
+const COLUMNS = [
+  'slug', 'name', 'category', 'subcategory', 'brand', 'description', 'price', 'stock',
+  'hairType', 'skinType', 'ingredients', 'tags', 'productImage', 'weight', 'isActive'
+];
+const LIST_COLUMNS = ['hairType', 'skinType', 'ingredients', 'tags'];
+const NUMBER_COLUMNS = ['price', 'stock', 'weight'];
+
+// Where each column lives on the product
+const FIELD_PATHS = {
+  hairType: 'attributes.hairType',
+  skinType: 'attributes.skinType',
+  ingredients: 'attributes.ingredients'
+};
+
+const splitList = (text) => text.split('|').map(value => value.trim()).filter(Boolean);
+
+// Turn one row's cells into product fields. Columns left out of the file
+// are not touched; an empty cell clears the field.
+const readRow = (columns, cells) => {
+  const values = {};
+  const errors = [];
+
+  columns.forEach((column, index) => {
+    if (!column) return;
+    const text = readCell(cells[index]);
+
+    if (LIST_COLUMNS.includes(column)) {
+      const list = splitList(text);
+      values[column] = ['hairType', 'skinType'].includes(column) ? list.map(v => v.toLowerCase()) : list;
+    } else if (NUMBER_COLUMNS.includes(column)) {
+      if (text === '') {
+        values[column] = undefined;
+      } else if (Number.isNaN(Number(text))) {
+        errors.push(`${column}: "${text}" is not a number`);
+      } else if (column === 'stock' && !Number.isInteger(Number(text))) {
+        errors.push('stock: must be a whole number');
+      } else {
+        values[column] = Number(text);
+      }
+    } else if (column === 'isActive') {
+      if (text === '') return;
+      if (/^(true|yes|1)$/i.test(text)) values.isActive = true;
+      else if (/^(false|no|0)$/i.test(text)) values.isActive = false;
+      else errors.push(`isActive: "${text}" should be true or false`);
+    } else {
+      values[column] = text || undefined;
+    }
+  });
+
+  return { values, errors };
+};
+
+const validationMessages = (err) => (err.name === 'ValidationError'
+  ? Object.values(err.errors).map(error => `${error.path}: ${error.message}`)
+  : [err.message]);
+
+// Check every row of a catalog CSV against the Product schema and, unless
+// it is a dry run, create or update the products. Rows are matched to
+// existing products by slug (from the slug column, or worked out from the
+// name); a slug cell naming no product is an error. New products always get
+// the slug worked out from their name, and no two rows may end up with the
+// same slug.
+//
+// Nothing is written while any row has errors, unless skipInvalid is set,
+// in which case the valid rows go in and the rest are reported.
+const importProducts = async (buffer, { dryRun = false, skipInvalid = false } = {}) => {
+  let rows;
+  try {
+    rows = parseCsv(buffer.toString('utf8'));
+  } catch (err) {
+    throw createHttpError(400, err.message);
+  }
+  if (rows.length < 2) throw createHttpError(400, 'The file needs a header row and at least one product');
+  if (rows.length - 1 > MAX_ROWS) throw createHttpError(400, `At most ${MAX_ROWS} products can be imported at once`);
+
+  const [header, ...dataRows] = rows;
+  const columns = header.cells.map(cell => COLUMNS.find(column => column.toLowerCase() === cell.trim().toLowerCase()));
+  const ignoredColumns = header.cells.filter((cell, index) => !columns[index] && cell.trim() !== '');
+  if (!columns.includes('name') && !columns.includes('slug')) {
+    throw createHttpError(400, 'The file needs a name or slug column');
+  }
+
+  // A slug cell picks the existing product to update; without one, rows
+  // match by the slug of their name and create the product when none has it
+  const parsed = dataRows.map(row => {
+    const { values, errors } = readRow(columns, row.cells);
+    return { line: row.line, values, errors, matchSlug: values.slug || Product.slugify(values.name) };
+  });
+
+  const existing = await Product.find({ slug: { $in: parsed.map(row => row.matchSlug).filter(Boolean) } });
+  const bySlug = new Map(existing.map(product => [product.slug, product]));
+  const matched = new Map();
+  const seen = new Map();
+
+  const report = [];
+  for (const row of parsed) {
+    const { values, errors } = row;
+    let product = bySlug.get(row.matchSlug) || null;
+
+    if (!row.matchSlug) {
+      errors.push('name: a name (or the slug of an existing product) is required');
+    } else if (values.slug && !product) {
+      errors.push(`slug: no product has the slug "${values.slug}"; leave it empty to create a new product`);
+    } else if (product && matched.has(product.id)) {
+      errors.push(`slug: "${product.slug}" is already updated on line ${matched.get(product.id)}`);
+      product = null;
+    } else {
+      if (product) matched.set(product.id, row.line);
+      product = product || new Product();
+
+      if (values.stock !== undefined && (product.variants.length > 0 || product.bundleItems.length > 0)) {
+        errors.push('stock: stock for products with variants or bundles is managed on the variants or components');
+        delete values.stock;
+      }
+
+      Object.entries(values).forEach(([column, value]) => {
+        if (column !== 'slug') product.set(FIELD_PATHS[column] || column, value);
+      });
+
+      try {
+        await product.validate();
+      } catch (err) {
+        errors.push(...validationMessages(err));
+      }
+    }
+
+    // The slug the product will be saved under: new and renamed products
+    // get theirs from the name (see the Product pre-save hook)
+    const slug = !product ? row.matchSlug
+      : product.isNew || product.isModified('name') ? Product.slugify(product.name) : product.slug;
+
+    if (product && slug) {
+      if (seen.has(slug)) errors.push(`slug: "${slug}" would also be used by line ${seen.get(slug)}`);
+      else seen.set(slug, row.line);
+    }
+
+    report.push({
+      line: row.line,
+      slug,
+      action: !product ? null : product.isNew ? 'create' : product.isModified() ? 'update' : 'unchanged',
+      errors,
+      product
+    });
+  }
+
+  // Slugs that new or renamed products would take from products not in the file
+  const changing = report.filter(row => row.product && row.slug && row.slug !== row.product.slug);
+  const taken = await Product.find({ slug: { $in: changing.map(row => row.slug) } }).select('slug');
+  for (const row of changing) {
+    const owner = taken.find(product => product.slug === row.slug);
+    if (owner && !owner._id.equals(row.product._id)) {
+      row.errors.push(`slug: "${row.slug}" is already used by another product`);
+    }
+  }
+
+  const invalid = report.filter(row => row.errors.length > 0);
+  const apply = !dryRun && (invalid.length === 0 || skipInvalid);
+
+  if (apply) {
+    for (const row of report) {
+      if (row.errors.length > 0 || row.action === 'unchanged') continue;
+      try {
+        await row.product.save();
+        row.slug = row.product.slug;
+      } catch (err) {
+        row.errors.push(err.code === 11000 ? 'slug: another product already uses this slug' : validationMessages(err).join('; '));
+      }
+    }
+  }
+
+  const rowsOut = report.map(({ line, slug, action, errors }) => ({ line, slug, action, errors }));
+  const count = (action) => rowsOut.filter(row => row.action === action && row.errors.length === 0).length;
+
+  return {
+    dryRun,
+    applied: apply,
+    total: rowsOut.length,
+    created: count('create'),
+    updated: count('update'),
+    unchanged: count('unchanged'),
+    failed: rowsOut.filter(row => row.errors.length > 0).length,
+    ignoredColumns,
+    rows: rowsOut
+  };
+};
+
+const exportRow = (product) => COLUMNS.map(column => {
+  const value = column in FIELD_PATHS ? product.attributes?.[column] : product[column];
+  if (LIST_COLUMNS.includes(column)) return (value || []).join('|');
+  return value;
+});
+
+// Write the whole catalog as CSV, one product at a time
+const exportProducts = async (stream) => {
+  stream.write(toCsvRow(COLUMNS));
+
+  const cursor = Product.find()
+    .select(COLUMNS.map(column => FIELD_PATHS[column] || column).join(' '))
+    .sort({ category: 1, name: 1 })
+    .lean()
+    .cursor();
+
+  for await (const product of cursor) {
+    stream.write(toCsvRow(exportRow(product)));
+  }
+};
+
+module.exports = {
+  COLUMNS,
+  importProducts,
+  exportProducts
+};
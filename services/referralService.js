@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const Referral = require('../models/Referral');
+const { postEntry } = require('./ledgerService');
+const { CLIENT_URL, escapeHtml, sendMail } = require('./mailer');
+const { fromMinorUnits } = require('../utils/money');
+const createHttpError = require('../utils/httpError');
+
+// Unlike `parseInt(value) || fallback`, keeps an explicit 0
+const parseAmount = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// 'store_credit' or 'coupon' (a single-use fixed amount coupon)
+const REWARD_TYPE = process.env.REFERRAL_REWARD_TYPE === 'coupon' ? 'coupon' : 'store_credit';
+// Rewards in cents; 0 gives that side nothing
+const REFERRER_REWARD = parseAmount(process.env.REFERRAL_REFERRER_REWARD, 1000);
+const REFEREE_REWARD = parseAmount(process.env.REFERRAL_REFEREE_REWARD, 1000);
+// The referee's first order must be worth at least this much (cents)
+const MIN_ORDER_AMOUNT = parseAmount(process.env.REFERRAL_MIN_ORDER_AMOUNT, 2500);
+const COUPON_VALID_DAYS = parseInt(process.env.REFERRAL_COUPON_VALID_DAYS) || 90;
+// Sign-ups from one IP address that can count as referrals within 30 days
+const MAX_PER_IP = parseInt(process.env.REFERRAL_MAX_PER_IP) || 3;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Characters used in codes: no 0/O or 1/I to misread
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Anyone can sign up with these, so sharing one proves nothing
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com',
+  'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com', 'gmx.com', 'mail.com'
+];
+
+const formatPrice = (amount) => `$${fromMinorUnits(amount).toFixed(2)}`;
+
+const generateCode = () => {
+  const bytes = crypto.randomBytes(8);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+const referralLink = (code) => `${CLIENT_URL}/register?ref=${encodeURIComponent(code)}`;
+
+// The user's code, created on first use
+const getReferralCode = async (userId) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const user = await User.findById(userId).select('referralCode');
+    if (!user) throw createHttpError(404, 'User not found');
+    if (user.referralCode) return user.referralCode;
+
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, referralCode: null },
+        { referralCode: generateCode() },
+        { new: true }
+      ).select('referralCode');
+      if (updated) return updated.referralCode;
+    } catch (err) {
+      if (err.code !== 11000) throw err; // Code already taken; try another
+    }
+  }
+  throw new Error('Could not create a referral code');
+};
+
+// Mailbox and domain, ignoring case, "+tags" and, for Gmail, dots
+const parseEmail = (email) => {
+  const [local = '', domain = ''] = String(email || '').trim().toLowerCase().split('@');
+  let mailbox = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') mailbox = mailbox.replace(/\./g, '');
+  return { mailbox, domain };
+};
+
+// Reason to refuse a sign-up as a referral, or null when it looks genuine
+const findSignupFraud = async ({ referrer, referee, ip }) => {
+  const referrerEmail = parseEmail(referrer.email);
+  const refereeEmail = parseEmail(referee.email);
+
+  if (referrer._id.equals(referee._id)
+    || (referrerEmail.mailbox === refereeEmail.mailbox && referrerEmail.domain === refereeEmail.domain)) {
+    return 'self_referral';
+  }
+  if (referrerEmail.domain === refereeEmail.domain && !PUBLIC_EMAIL_DOMAINS.includes(refereeEmail.domain)) {
+    return 'same_email_domain';
+  }
+
+  if (ip) {
+    if (ip === referrer.signupIp || ip === referrer.lastLoginIp) return 'same_ip';
+
+    const recentFromIp = await Referral.countDocuments({
+      signupIp: ip,
+      createdAt: { $gte: new Date(Date.now() - 30 * DAY) }
+    });
+    if (recentFromIp >= MAX_PER_IP) return 'ip_limit';
+  }
+
+  return null;
+};
+
+// Called when a customer registers with a referral code. An unknown code is
+// ignored rather than failing the registration. Suspicious sign-ups are
+// still recorded, as rejected, so they show up in the admin report.
+const recordReferral = async ({ user, code, ip }) => {
+  const normalisedCode = String(code || '').trim().toUpperCase();
+  if (!normalisedCode) return null;
+
+  const referrer = await User.findOne({ referralCode: normalisedCode }).select('email signupIp lastLoginIp');
+  if (!referrer) return null;
+
+  const rejectReason = await findSignupFraud({ referrer, referee: user, ip });
+
+  try {
+    return await Referral.create({
+      referrerId: referrer._id,
+      refereeId: user._id,
+      code: normalisedCode,
+      status: rejectReason ? 'rejected' : 'pending',
+      rejectReason: rejectReason || undefined,
+      signupIp: ip
+    });
+  } catch (err) {
+    if (err.code === 11000) return null; // Already referred
+    throw err;
+  }
+};
+
+const sameAddress = (a, b) => Boolean(a && b && a.line1 && b.line1)
+  && a.line1.trim().toLowerCase() === b.line1.trim().toLowerCase()
+  && String(a.postalCode || '').replace(/\s/g, '') === String(b.postalCode || '').replace(/\s/g, '');
+
+const createRewardCoupon = (userId, amount) => Coupon.create({
+  code: `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+  description: `${formatPrice(amount)} referral reward`,
+  type: 'fixed',
+  value: amount,
+  usageLimit: 1,
+  perUserLimit: 1,
+  assignedTo: userId,
+  endsAt: new Date(Date.now() + COUPON_VALID_DAYS * DAY)
+});
+
+const grantReward = async ({ referral, userId, role, amount }) => {
+  if (REWARD_TYPE === 'coupon') {
+    const coupon = await createRewardCoupon(userId, amount);
+    return { userId, role, type: 'coupon', amount, couponId: coupon._id, couponCode: coupon.code };
+  }
+
+  const entry = await postEntry({
+    userId,
+    type: 'issue',
+    amount,
+    note: role === 'referrer' ? 'Referral reward for inviting a friend' : 'Referral welcome reward',
+    orderId: referral.orderId
+  });
+  return { userId, role, type: 'store_credit', amount, ledgerEntryId: entry._id };
+};
+
+const sendRewardEmail = async (user, reward) => {
+  const how = reward.type === 'coupon'
+    ? `Use code <strong>${reward.couponCode}</strong> at checkout within ${COUPON_VALID_DAYS} days.`
+    : 'It has been added to your store credit and will be offered at checkout.';
+  const why = reward.role === 'referrer'
+    ? 'A friend you invited has received their first order.'
+    : 'Thanks for joining us through a friend\'s invitation.';
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `You've earned a ${formatPrice(reward.amount)} referral reward`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Hi ${escapeHtml(user.name)},</h2>
+          <p>${why} Here is ${formatPrice(reward.amount)} to spend with us.</p>
+          <p>${how}</p>
+          <p><a href="${CLIENT_URL}">Start shopping</a></p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error(`Failed to send referral reward email to ${user.email}:`, err.message);
+  }
+};
+
+// Reward both sides once the referee's first order has been delivered.
+// Called on every delivery; only the first qualifying order counts.
+const convertReferral = async (order) => {
+  if (!order.userId) return null;
+
+  const referral = await Referral.findOne({ refereeId: order.userId, status: 'pending' });
+  if (!referral) return null;
+
+  // Guest orders claimed when registering came before the referral
+  if (order.createdAt < referral.createdAt) return null;
+  if (order.total - order.refundedTotal < MIN_ORDER_AMOUNT) return null;
+
+  const referrer = await User.findById(referral.referrerId).select('name email addresses');
+  const shippedToReferrer = referrer && referrer.addresses.some(address => sameAddress(address, order.shippingAddress));
+
+  // Claim it first so the rewards can only ever be given once
+  const claimed = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: 'pending' },
+    shippedToReferrer
+      ? { status: 'rejected', rejectReason: 'same_address', orderId: order._id }
+      : { status: 'rewarded', orderId: order._id, rewardedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed || claimed.status !== 'rewarded') return claimed;
+
+  const referee = await User.findById(order.userId).select('name email');
+  const sides = [
+    { user: referrer, role: 'referrer', amount: REFERRER_REWARD },
+    { user: referee, role: 'referee', amount: REFEREE_REWARD }
+  ].filter(side => side.user && side.amount > 0);
+
+  for (const side of sides) {
+    const reward = await grantReward({ referral: claimed, userId: side.user._id, role: side.role, amount: side.amount });
+    claimed.rewards.push(reward);
+    await claimed.save();
+    await sendRewardEmail(side.user, reward);
+  }
+
+  return claimed;
+};
+
+// Take back one side's reward: an unused coupon is switched off, store
+// credit is taken back as far as the balance still covers it. Returns how
+// much was taken back.
+const takeBackReward = async (referral, reward) => {
+  if (reward.type === 'coupon') {
+    const result = await Coupon.updateOne(
+      { _id: reward.couponId, usageCount: 0, isActive: true },
+      { isActive: false }
+    );
+    return result.modifiedCount > 0 ? reward.amount : 0;
+  }
+
+  const user = await User.findById(reward.userId).select('storeCreditBalance');
+  const amount = Math.min(reward.amount, user ? user.storeCreditBalance : 0);
+  if (amount <= 0) return 0;
+
+  try {
+    await postEntry({
+      userId: reward.userId,
+      type: 'reverse',
+      amount: -amount,
+      note: 'Referral reward taken back: the qualifying order was refunded',
+      orderId: referral.orderId
+    });
+    return amount;
+  } catch (err) {
+    if (err.status !== 409) throw err;
+    return 0; // Spent in the meantime
+  }
+};
+
+// Called after every refund or return. Once refunds take the order that
+// earned a referral below the minimum, both sides' rewards are taken back
+// (as far as they have not been spent) and the referral is closed.
+const reverseReferral = async (order) => {
+  const referral = await Referral.findOne({ orderId: order._id, status: 'rewarded' });
+  if (!referral) return null;
+  if (order.total - order.refundedTotal >= MIN_ORDER_AMOUNT) return null;
+
+  // Claim it first so the rewards can only ever be taken back once
+  const claimed = await Referral.findOneAndUpdate(
+    { _id: referral._id, status: 'rewarded' },
+    { status: 'reversed', reversedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  for (const reward of claimed.rewards) {
+    reward.reversedAmount = await takeBackReward(claimed, reward);
+    await claimed.save();
+  }
+
+  return claimed;
+};
+
+// The user's code and link with how their invitations have gone
+const getReferralSummary = async (userId) => {
+  const code = await getReferralCode(userId);
+  const referrals = await Referral.find({ referrerId: userId })
+    .select('status rewards createdAt rewardedAt')
+    .sort({ createdAt: -1 });
+
+  const earned = referrals.reduce((sum, referral) => sum + referral.rewards
+    .filter(reward => reward.role === 'referrer')
+    .reduce((total, reward) => total + reward.amount - reward.reversedAmount, 0), 0);
+
+  return {
+    code,
+    link: referralLink(code),
+    reward: { type: REWARD_TYPE, referrer: REFERRER_REWARD, referee: REFEREE_REWARD, minOrderAmount: MIN_ORDER_AMOUNT },
+    invited: referrals.length,
+    // Rejected referrals are shown as pending so the fraud checks are not given away
+    pending: referrals.filter(referral => referral.status !== 'rewarded').length,
+    converted: referrals.filter(referral => referral.status === 'rewarded').length,
+    earned
+  };
+};
+
+// Sign-ups, conversions and rejections over a date range, plus the
+// customers bringing in the most new business
+const getReferralReport = async ({ from, to } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const [byStatus, byReason, rewards, topReferrers] = await Promise.all([
+    Referral.aggregate([
+      { $match: match },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: 'rejected' } },
+      { $group: { _id: '$rejectReason', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: 'rewarded' } },
+      { $unwind: '$rewards' },
+      { $group: { _id: '$rewards.type', amount: { $sum: '$rewards.amount' }, count: { $sum: 1 } } }
+    ]),
+    Referral.aggregate([
+      { $match: { ...match, status: 'rewarded' } },
+      { $group: { _id: '$referrerId', conversions: { $sum: 1 }, orderIds: { $push: '$orderId' } } },
+      { $sort: { conversions: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'referrer' } },
+      { $lookup: { from: 'orders', localField: 'orderIds', foreignField: '_id', as: 'orders' } },
+      {
+        $project: {
+          _id: 0,
+          referrerId: '$_id',
+          name: { $arrayElemAt: ['$referrer.name', 0] },
+          email: { $arrayElemAt: ['$referrer.email', 0] },
+          conversions: 1,
+          firstOrderRevenue: { $sum: '$orders.total' }
+        }
+      }
+    ])
+  ]);
+
+  const counts = Object.fromEntries(byStatus.map(row => [row._id, row.count]));
+  const signups = (counts.pending || 0) + (counts.rewarded || 0) + (counts.rejected || 0) + (counts.reversed || 0);
+
+  return {
+    signups,
+    pending: counts.pending || 0,
+    converted: counts.rewarded || 0,
+    rejected: counts.rejected || 0,
+    reversed: counts.reversed || 0,
+    conversionRate: signups > 0 ? Math.round((counts.rewarded || 0) / signups * 1000) / 10 : 0,
+    rejectReasons: byReason.map(row => ({ reason: row._id, count: row.count })),
+    rewards: rewards.map(row => ({ type: row._id, count: row.count, amount: row.amount })),
+    topReferrers
+  };
+};
+
+module.exports = {
+  getReferralCode,
+  recordReferral,
+  convertReferral,
+  reverseReferral,
+  getReferralSummary,
+  getReferralReport
+};
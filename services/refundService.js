@@ -0,0 +1,273 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const stripe = require('./stripe');
+const { creditRefundable, refundToCredit } = require('./ledgerService');
+const { reverseOrderPoints } = require('./loyaltyService');
+const { reverseReferral } = require('./referralService');
+const createHttpError = require('../utils/httpError');
+
+// Keep the order's running refund total in line with the refund records and
+// mark it refunded once everything has been paid back. Loyalty points
+// earned on the order are taken back in proportion to what was refunded,
+// and referral rewards once the order no longer qualifies for them.
+const syncOrderRefunds = async (order, { actorType = 'system', actor, markRefunded = true } = {}) => {
+  const [totals] = await Refund.aggregate([
+    { $match: { orderId: order._id, status: 'succeeded' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  order.refundedTotal = totals ? totals.amount : 0;
+  if (markRefunded && order.refundableAmount() === 0 && order.canTransitionTo('refunded')) {
+    order.transitionTo('refunded', { actorType, actor, note: 'Order fully refunded' });
+  }
+  await order.save();
+
+  await reverseOrderPoints(order);
+
+  try {
+    await reverseReferral(order);
+  } catch (err) {
+    console.error(`Failed to reverse referral rewards for order ${order._id}:`, err);
+  }
+
+  return order;
+};
+
+// Our status for a Stripe refund. Card refunds can stay pending for days
+// and only count once Stripe reports them succeeded.
+const refundStatus = (stripeRefund) => {
+  if (stripeRefund.status === 'succeeded') return 'succeeded';
+  if (['failed', 'canceled'].includes(stripeRefund.status)) return 'failed';
+  return 'pending';
+};
+
+// Refunds sent to Stripe but not settled yet, held back from what can still
+// be refunded so the same money is never paid back twice meanwhile
+const pendingRefundTotal = async (match) => {
+  const [totals] = await Refund.aggregate([
+    { $match: { ...match, status: 'pending' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+  return totals ? totals.amount : 0;
+};
+
+// What can still be refunded to the card a payment was made with
+const cardRefundable = async (payment) =>
+  payment.amount - payment.amountRefunded - await pendingRefundTotal({ paymentId: payment._id });
+
+// Recompute from our own records rather than incrementing, so a webhook
+// arriving mid-request cannot make us count the same refund twice
+const syncPaymentRefunds = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  const [totals] = await Refund.aggregate([
+    { $match: { paymentId: payment._id, status: 'succeeded' } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } }
+  ]);
+
+  payment.amountRefunded = totals ? totals.amount : 0;
+  if (payment.amountRefunded > 0) {
+    payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially_refunded';
+  } else if (['refunded', 'partially_refunded'].includes(payment.status)) {
+    payment.status = 'succeeded'; // The only refunds failed after all
+  }
+  await payment.save();
+};
+
+// Refund all or part of an order. Amount is in minor units and defaults to
+// whatever has not been refunded yet. Method 'store_credit' pays it back as
+// credit instead of to the card. Pass markRefunded: false when the caller
+// is about to move the order to another final status itself.
+const refundOrder = async ({ order, amount, reason, method = 'stripe', returnRequestId, actor, markRefunded }) => {
+  const refundable = order.refundableAmount() - await pendingRefundTotal({ orderId: order._id });
+  const refundAmount = amount === undefined ? refundable : parseInt(amount);
+
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+    throw createHttpError(400, 'Refund amount must be a positive number of cents');
+  }
+  if (refundAmount > refundable) {
+    throw createHttpError(400, `Only ${refundable} can still be refunded on this order`);
+  }
+
+  const refund = new Refund({
+    orderId: order._id,
+    returnRequestId,
+    method,
+    amount: refundAmount,
+    currency: order.currency,
+    reason,
+    createdBy: actor
+  });
+
+  if (method === 'stripe') {
+    const payment = await Payment.findOne({
+      orderId: order._id,
+      status: { $in: ['succeeded', 'partially_refunded'] }
+    });
+    if (!payment) {
+      throw createHttpError(409, 'No Stripe payment found for this order; record a manual refund instead');
+    }
+
+    // Part of the order may have been paid with a gift card or store credit
+    const toCard = await cardRefundable(payment);
+    if (refundAmount > toCard) {
+      throw createHttpError(400, `Only ${toCard} can still be refunded to the card; refund the rest as store credit`);
+    }
+
+    // Save first so the charge.refunded webhook can find this record by id
+    refund.paymentId = payment._id;
+    refund.status = 'pending';
+    await refund.save();
+
+    try {
+      const stripeRefund = await stripe.refunds.create({
+        payment_intent: payment.paymentIntentId,
+        amount: refundAmount,
+        metadata: {
+          orderId: order._id.toString(),
+          refundId: refund._id.toString()
+        }
+      }, {
+        idempotencyKey: `refund-${refund._id}`
+      });
+
+      // Pending refunds are settled by the refund.updated webhook
+      refund.stripeRefundId = stripeRefund.id;
+      refund.status = refundStatus(stripeRefund);
+    } catch (err) {
+      refund.status = 'failed';
+      await refund.save();
+      throw err;
+    }
+  }
+
+  if (method === 'store_credit') {
+    await refundToCredit({ order, amount: refundAmount, refundId: refund._id, actor });
+  }
+
+  await refund.save();
+  if (refund.paymentId) await syncPaymentRefunds(refund.paymentId);
+  await syncOrderRefunds(order, { actorType: actor ? 'admin' : 'system', actor, markRefunded });
+
+  return refund;
+};
+
+// Pay back everything not yet refunded the way it was paid: to the card up
+// to what the card paid, then as credit up to the credit used. Orders
+// recorded without either are left to be settled by hand.
+const refundToOriginalPayment = async ({ order, reason, actor, markRefunded }) => {
+  const refundable = order.refundableAmount() - await pendingRefundTotal({ orderId: order._id });
+  const payment = await Payment.findOne({
+    orderId: order._id,
+    status: { $in: ['succeeded', 'partially_refunded'] }
+  });
+
+  const toCard = payment ? Math.min(refundable, await cardRefundable(payment)) : 0;
+  const toCredit = Math.min(refundable - toCard, await creditRefundable(order));
+
+  const refunds = [];
+  if (toCard > 0) {
+    refunds.push(await refundOrder({ order, amount: toCard, reason, actor, markRefunded }));
+  }
+  if (toCredit > 0) {
+    refunds.push(await refundOrder({ order, amount: toCredit, method: 'store_credit', reason, actor, markRefunded }));
+  }
+  return refunds;
+};
+
+// Refunds made straight from the Stripe dashboard only reach us through the
+// charge.refunded webhook; make sure each one has a Refund record
+const recordStripeRefunds = async (payment, charge) => {
+  // Newer API versions no longer embed the refund list in the charge
+  const stripeRefunds = charge.refunds?.data
+    || (await stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+
+  for (const stripeRefund of stripeRefunds) {
+    // Refunds we started carry our own record id in their metadata
+    const filter = stripeRefund.metadata?.refundId
+      ? { _id: stripeRefund.metadata.refundId }
+      : { stripeRefundId: stripeRefund.id };
+
+    await Refund.updateOne(
+      filter,
+      {
+        $setOnInsert: {
+          orderId: payment.orderId,
+          paymentId: payment._id,
+          method: 'stripe',
+          amount: stripeRefund.amount,
+          currency: stripeRefund.currency,
+          reason: stripeRefund.reason || 'Refunded in Stripe'
+        },
+        $set: {
+          stripeRefundId: stripeRefund.id,
+          status: refundStatus(stripeRefund)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  await syncPaymentRefunds(payment._id);
+  const order = await Order.findById(payment.orderId);
+  if (order) await syncOrderRefunds(order);
+};
+
+// A refund changed status in Stripe (refund.updated), e.g. a pending card
+// refund went through or failed. Refunds we have no record of yet are
+// picked up from charge.refunded instead.
+const settleStripeRefund = async (stripeRefund) => {
+  const filter = stripeRefund.metadata?.refundId
+    ? { _id: stripeRefund.metadata.refundId }
+    : { stripeRefundId: stripeRefund.id };
+
+  const refund = await Refund.findOneAndUpdate(
+    filter,
+    { stripeRefundId: stripeRefund.id, status: refundStatus(stripeRefund) },
+    { new: true }
+  );
+  if (!refund) return;
+
+  if (refund.paymentId) await syncPaymentRefunds(refund.paymentId);
+  const order = await Order.findById(refund.orderId);
+  if (order) await syncOrderRefunds(order);
+};
+
+// A lost dispute returns the money to the card holder without a refund of
+// ours. Record it as one so the order's refund total, status and loyalty
+// points follow as they would for any other refund.
+const recordDisputeLoss = async (payment, dispute) => {
+  const order = await Order.findById(payment.orderId);
+  if (!order) return;
+
+  const amount = Math.min(dispute.amount, order.refundableAmount());
+  if (amount > 0) {
+    await Refund.updateOne(
+      { disputeId: dispute.id },
+      {
+        $setOnInsert: {
+          orderId: order._id,
+          paymentId: payment._id,
+          method: 'stripe',
+          amount,
+          currency: dispute.currency || order.currency,
+          reason: `Dispute ${dispute.id} lost (${dispute.reason})`,
+          status: 'succeeded'
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  await syncOrderRefunds(order);
+};
+
+module.exports = {
+  cardRefundable,
+  refundOrder,
+  refundToOriginalPayment,
+  recordStripeRefunds,
+  settleStripeRefund,
+  recordDisputeLoss,
+  syncOrderRefunds
+};
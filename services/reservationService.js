@@ -0,0 +1,183 @@
+const Product = require('../models/Product');
+const StockReservation = require('../models/StockReservation');
+const createHttpError = require('../utils/httpError');
+const { isSameCartLine } = require('../utils/cart');
+
+const RESERVATION_TTL_MINUTES = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+
+// Per-line report of anything we cannot supply
+const findStockShortfalls = async (items) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } })
+    .select('name stock variants');
+
+  return items
+    .map(item => {
+      const product = products.find(p => p._id.equals(item.productId));
+      const variant = product && item.variantId ? product.variants.id(item.variantId) : null;
+      const available = item.variantId
+        ? (variant ? variant.stock : 0)
+        : (product ? product.stock : 0);
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        name: product ? product.name : item.name,
+        variantName: variant ? variant.name : item.variantName,
+        requested: item.quantity,
+        available
+      };
+    })
+    .filter(line => line.requested > line.available);
+};
+
+// The lines stock actually moves on: bundle lines become their components
+// and lines for the same product (or variant) are added together
+const stockLines = (items) => {
+  const lines = [];
+
+  for (const item of items) {
+    const parts = item.bundleItems && item.bundleItems.length > 0
+      ? item.bundleItems.map(part => ({
+        productId: part.productId,
+        variantId: part.variantId,
+        name: item.name,
+        quantity: part.quantity * item.quantity
+      }))
+      : [{
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        variantName: item.variantName,
+        quantity: item.quantity
+      }];
+
+    for (const part of parts) {
+      const line = lines.find(existing => isSameCartLine(existing, part.productId, part.variantId));
+      if (line) line.quantity += part.quantity;
+      else lines.push(part);
+    }
+  }
+
+  return lines;
+};
+
+// Bundles show how many sets their components make up, so recount them
+// whenever component stock moves
+const refreshBundles = (lines) => Product.refreshBundleStock(lines.map(line => line.productId));
+
+// Variant lines move the variant's stock and the product total together.
+// With `available`, only matches when there is enough stock to take.
+const stockFilter = (item, { available = false } = {}) => {
+  if (!item.variantId) {
+    return available
+      ? { _id: item.productId, stock: { $gte: item.quantity } }
+      : { _id: item.productId };
+  }
+  return {
+    _id: item.productId,
+    variants: {
+      $elemMatch: available
+        ? { _id: item.variantId, stock: { $gte: item.quantity } }
+        : { _id: item.variantId }
+    }
+  };
+};
+
+const stockChange = (item, quantity) => (item.variantId
+  ? { $inc: { stock: quantity, 'variants.$.stock': quantity } }
+  : { $inc: { stock: quantity } });
+
+const outOfStockError = (errors) =>
+  createHttpError(409, 'Some items in your cart do not have enough stock', errors);
+
+const restoreStock = async (items) => {
+  const lines = stockLines(items);
+  await Promise.all(lines.map(line =>
+    Product.updateOne(stockFilter(line), stockChange(line, line.quantity))
+  ));
+  await refreshBundles(lines);
+};
+
+// Atomically take stock for every line or for none of them. A conditional
+// $inc means two shoppers can never both take the last unit.
+const takeStock = async (items) => {
+  const lines = stockLines(items);
+  const taken = [];
+
+  for (const item of lines) {
+    const result = await Product.updateOne(
+      stockFilter(item, { available: true }),
+      stockChange(item, -item.quantity)
+    );
+
+    if (result.modifiedCount === 0) {
+      await restoreStock(taken);
+      const shortfalls = await findStockShortfalls(lines);
+      throw outOfStockError(shortfalls.length ? shortfalls : [{
+        productId: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        requested: item.quantity,
+        available: 0
+      }]);
+    }
+
+    taken.push(item);
+  }
+
+  await refreshBundles(lines);
+};
+
+// Hold stock for a pending order until it is paid or the hold expires
+const reserveStock = async (order, ttlMinutes = RESERVATION_TTL_MINUTES) => {
+  const lines = stockLines(order.items);
+  await takeStock(lines);
+
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  await StockReservation.insertMany(lines.map(item => ({
+    orderId: order._id,
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: item.quantity,
+    expiresAt
+  })));
+
+  return expiresAt;
+};
+
+// Payment went through: the held stock is now sold. Returns false when
+// there was nothing left to commit (e.g. the hold had already expired).
+const commitReservations = async (orderId) => {
+  const result = await StockReservation.updateMany(
+    { orderId, status: 'active' },
+    { status: 'committed' }
+  );
+  return result.modifiedCount > 0;
+};
+
+const releaseReservations = async (orderId, reason) => {
+  const reservations = await StockReservation.find({ orderId, status: 'active' });
+
+  for (const reservation of reservations) {
+    // Flip the status first so a reservation is never restocked twice
+    const claimed = await StockReservation.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { status: 'released', releasedReason: reason }
+    );
+    if (claimed) await restoreStock([reservation]);
+  }
+
+  return reservations.length;
+};
+
+module.exports = {
+  findStockShortfalls,
+  stockLines,
+  stockFilter,
+  stockChange,
+  outOfStockError,
+  takeStock,
+  restoreStock,
+  reserveStock,
+  commitReservations,
+  releaseReservations
+};
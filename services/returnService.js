@@ -0,0 +1,125 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const { refundOrder } = require('./refundService');
+const { restoreStock } = require('./reservationService');
+const createHttpError = require('../utils/httpError');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+const deliveredAt = (order) => {
+  const delivery = order.statusHistory.filter(change => change.to === 'delivered').pop();
+  return delivery ? delivery.at : order.updatedAt;
+};
+
+// Customer opens a return against one delivered order line
+const openReturn = async ({ order, userId, itemId, quantity, reason, note }) => {
+  if (order.status !== 'delivered') {
+    throw createHttpError(409, 'Only delivered orders can be returned');
+  }
+
+  const windowEnds = new Date(deliveredAt(order).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (windowEnds < new Date()) {
+    throw createHttpError(409, `Returns must be opened within ${RETURN_WINDOW_DAYS} days of delivery`);
+  }
+
+  const item = order.items.id(itemId);
+  if (!item) throw createHttpError(404, 'Order item not found');
+
+  // Quantities already being returned (or returned) for this line
+  const existing = await ReturnRequest.find({
+    orderId: order._id,
+    itemId: item._id,
+    status: { $ne: 'rejected' }
+  });
+  const alreadyReturned = existing.reduce((sum, request) => sum + request.quantity, 0);
+  const returnQuantity = parseInt(quantity) || item.quantity - alreadyReturned;
+
+  if (returnQuantity < 1 || returnQuantity > item.quantity - alreadyReturned) {
+    throw createHttpError(400, `You can return at most ${item.quantity - alreadyReturned} of this item`);
+  }
+
+  const returnRequest = new ReturnRequest({
+    orderId: order._id,
+    userId,
+    itemId: item._id,
+    productId: item.productId,
+    variantId: item.variantId,
+    quantity: returnQuantity,
+    reason,
+    customerNote: note
+  });
+  await returnRequest.save();
+  return returnRequest;
+};
+
+// Approving refunds the customer and, unless told otherwise, puts the
+// returned units back on sale
+const approveReturn = async ({ returnRequest, order, amount, method, restock = true, note, adminId }) => {
+  if (returnRequest.status !== 'requested') {
+    throw createHttpError(409, `This return has already been ${returnRequest.status}`);
+  }
+
+  const item = order.items.id(returnRequest.itemId);
+  // Net of the order's discounts, so a coupon is not refunded as cash
+  const lineAmount = order.netLineAmount(item, returnRequest.quantity);
+  const refundAmount = amount === undefined
+    ? Math.min(lineAmount, order.refundableAmount())
+    : amount;
+
+  returnRequest.status = 'approved';
+  returnRequest.adminNote = note;
+  returnRequest.reviewedBy = adminId;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save();
+
+  let refund;
+  try {
+    refund = await refundOrder({
+      order,
+      amount: refundAmount,
+      method,
+      reason: `Return of ${returnRequest.quantity} x ${item.name} (${returnRequest.reason})`,
+      returnRequestId: returnRequest._id,
+      actor: adminId
+    });
+  } catch (err) {
+    // Leave the request open so the refund can be retried
+    returnRequest.status = 'requested';
+    await returnRequest.save();
+    throw err;
+  }
+
+  if (restock) {
+    await restoreStock([{
+      productId: returnRequest.productId,
+      variantId: returnRequest.variantId,
+      bundleItems: item.bundleItems,
+      quantity: returnRequest.quantity
+    }]);
+    returnRequest.restocked = true;
+  }
+
+  returnRequest.status = 'refunded';
+  returnRequest.refundId = refund._id;
+  await returnRequest.save();
+
+  return { returnRequest, refund };
+};
+
+const rejectReturn = async ({ returnRequest, note, adminId }) => {
+  if (returnRequest.status !== 'requested') {
+    throw createHttpError(409, `This return has already been ${returnRequest.status}`);
+  }
+
+  returnRequest.status = 'rejected';
+  returnRequest.adminNote = note;
+  returnRequest.reviewedBy = adminId;
+  returnRequest.reviewedAt = new Date();
+  await returnRequest.save();
+  return returnRequest;
+};
+
+module.exports = {
+  openReturn,
+  approveReturn,
+  rejectReturn
+};
@@ -0,0 +1,267 @@
+const cron = require('node-cron');
+const Order = require('../models/Order');
+const Shipment = require('../models/Shipment');
+const { getCarrier, adapters } = require('./carriers');
+const { changeOrderStatus } = require('./orderService');
+const { CLIENT_URL, escapeHtml, sendMail } = require('./mailer');
+const createHttpError = require('../utils/httpError');
+
+// How often the poller asks a carrier about the same parcel
+const POLL_INTERVAL_MINUTES = parseInt(process.env.SHIPMENT_POLL_INTERVAL_MINUTES) || 30;
+
+// Units of each order line already sent, keyed by order item id
+const shippedQuantities = async (orderId) => {
+  const shipments = await Shipment.find({ orderId }).select('items');
+  const shipped = new Map();
+  for (const item of shipments.flatMap(shipment => shipment.items)) {
+    const key = item.orderItemId.toString();
+    shipped.set(key, (shipped.get(key) || 0) + item.quantity);
+  }
+  return shipped;
+};
+
+// Work out which units go in the parcel: the lines asked for, or everything
+// not sent yet
+const pickShipmentItems = (order, shipped, requested) => {
+  const remaining = order.items
+    .map(item => ({ item, left: item.quantity - (shipped.get(item._id.toString()) || 0) }))
+    .filter(line => line.left > 0);
+
+  const wanted = requested && requested.length > 0
+    ? requested.map(({ orderItemId, quantity }) => {
+      const line = remaining.find(r => r.item._id.toString() === String(orderItemId));
+      if (!line) throw createHttpError(400, `Order item ${orderItemId} has nothing left to ship`);
+
+      const units = parseInt(quantity) || line.left;
+      if (units < 1 || units > line.left) {
+        throw createHttpError(400, `Only ${line.left} of ${line.item.name} left to ship`);
+      }
+      return { line, units };
+    })
+    : remaining.map(line => ({ line, units: line.left }));
+
+  if (wanted.length === 0) throw createHttpError(400, 'Everything on this order has already been shipped');
+
+  return wanted.map(({ line, units }) => ({
+    orderItemId: line.item._id,
+    productId: line.item.productId,
+    name: line.item.variantName ? `${line.item.name} (${line.item.variantName})` : line.item.name,
+    quantity: units
+  }));
+};
+
+const sendShippedEmail = async (order, shipment) => {
+  if (!order.email) return;
+
+  const rows = shipment.items.map(item => `<li>${escapeHtml(item.name)} × ${item.quantity}</li>`).join('');
+  const tracking = shipment.trackingUrl
+    ? `<a href="${shipment.trackingUrl}">${escapeHtml(shipment.trackingNumber)}</a>`
+    : escapeHtml(shipment.trackingNumber);
+
+  try {
+    await sendMail({
+      to: order.email,
+      subject: `Your order ${order.orderNumber} is on its way`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Your order has shipped</h2>
+          <p>These items from order ${order.orderNumber} are on their way:</p>
+          <ul>${rows}</ul>
+          <p>Tracking number: ${tracking}</p>
+          ${shipment.estimatedDeliveryAt ? `<p>Expected by ${shipment.estimatedDeliveryAt.toLocaleDateString()}.</p>` : ''}
+          <p><a href="${CLIENT_URL}/orders">View your orders</a></p>
+        </div>
+      `
+    });
+  } catch (err) {
+    console.error(`Failed to send shipping email for order ${order._id}:`, err.message);
+  }
+};
+
+// Record a parcel going out. Without a tracking number the carrier adapter
+// creates the label. The order moves to processing, and to shipped once
+// every unit is in a parcel.
+const createShipment = async ({ order, carrier, trackingNumber, trackingUrl, items, actor }) => {
+  if (!['paid', 'processing'].includes(order.status)) {
+    throw createHttpError(409, `Orders that are ${order.status} cannot be shipped`);
+  }
+  if (!carrier) throw createHttpError(400, 'Carrier is required');
+
+  const shipmentItems = pickShipmentItems(order, await shippedQuantities(order._id), items);
+  const adapter = getCarrier(carrier);
+
+  let label = { trackingNumber, trackingUrl };
+  if (!trackingNumber) {
+    if (!adapter) throw createHttpError(400, 'A tracking number is required for this carrier');
+    label = await adapter.createLabel({ order, items: shipmentItems });
+  } else if (!trackingUrl && adapter) {
+    label.trackingUrl = adapter.trackingUrl(trackingNumber);
+  }
+
+  let shipment;
+  try {
+    shipment = await Shipment.create({
+      orderId: order._id,
+      carrier,
+      trackingNumber: label.trackingNumber,
+      trackingUrl: label.trackingUrl,
+      estimatedDeliveryAt: label.estimatedDeliveryAt,
+      items: shipmentItems,
+      createdBy: actor
+    });
+  } catch (err) {
+    if (err.code === 11000) throw createHttpError(400, 'This tracking number has already been used');
+    if (err.name === 'ValidationError') throw createHttpError(400, err.message);
+    throw err;
+  }
+
+  const note = `Shipped with ${shipment.carrier}, tracking ${shipment.trackingNumber}`;
+  const actorType = actor ? 'admin' : 'system';
+  if (order.status === 'paid') {
+    await changeOrderStatus(order, 'processing', { actorType, actor, note });
+  }
+
+  const shipped = await shippedQuantities(order._id);
+  if (order.items.every(item => (shipped.get(item._id.toString()) || 0) >= item.quantity)) {
+    await changeOrderStatus(order, 'shipped', { actorType, actor, note });
+  }
+
+  await sendShippedEmail(order, shipment);
+  return shipment;
+};
+
+// Orders are delivered once every parcel has arrived
+const settleOrderDelivery = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order || order.status !== 'shipped') return;
+
+  const shipments = await Shipment.find({ orderId }).select('status');
+  if (!shipments.every(shipment => shipment.status === 'delivered')) return;
+
+  try {
+    await changeOrderStatus(order, 'delivered', { note: 'Delivered according to carrier tracking' });
+  } catch (err) {
+    if (err.status !== 409 && err.name !== 'VersionError') throw err; // Already moved on
+  }
+};
+
+// Merge carrier events into a shipment. Events seen before are ignored, so
+// the same update can safely arrive by webhook and by polling.
+const applyTrackingEvents = async (shipment, events) => {
+  const known = new Set(shipment.events.map(event => `${event.status}|${event.occurredAt.getTime()}`));
+
+  const fresh = (events || [])
+    .map(event => ({
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: new Date(event.occurredAt || Date.now())
+    }))
+    .filter(event => Shipment.STATUSES.includes(event.status) && !Number.isNaN(event.occurredAt.getTime()))
+    .filter(event => {
+      const key = `${event.status}|${event.occurredAt.getTime()}`;
+      if (known.has(key)) return false;
+      known.add(key);
+      return true;
+    });
+
+  if (fresh.length === 0) return shipment;
+
+  shipment.events = [...shipment.events.map(event => event.toObject()), ...fresh]
+    .sort((a, b) => a.occurredAt - b.occurredAt);
+
+  const latest = shipment.events[shipment.events.length - 1];
+  shipment.status = latest.status;
+  if (latest.status === 'delivered' && !shipment.deliveredAt) shipment.deliveredAt = latest.occurredAt;
+  await shipment.save();
+
+  if (shipment.status === 'delivered') await settleOrderDelivery(shipment.orderId);
+  return shipment;
+};
+
+const applyCarrierUpdate = async (carrier, { trackingNumber, events }) => {
+  const shipment = await Shipment.findOne({ carrier, trackingNumber });
+  if (!shipment) {
+    console.warn(`No shipment found for ${carrier} tracking number ${trackingNumber}`);
+    return null;
+  }
+  return applyTrackingEvents(shipment, events);
+};
+
+// Tracking updates pushed to POST /api/shipments/webhooks/:carrier
+const handleCarrierWebhook = async (code, req) => {
+  const adapter = getCarrier(code);
+  if (!adapter || !adapter.parseWebhook) throw createHttpError(404, 'Unknown carrier');
+
+  const updates = adapter.parseWebhook(req);
+  for (const update of updates) {
+    await applyCarrierUpdate(adapter.code, update);
+  }
+  return updates.length;
+};
+
+// Ask carriers about parcels still on their way that have not been
+// checked for a while
+const pollShipments = async () => {
+  const carriers = Object.values(adapters).filter(adapter => adapter.getTracking).map(adapter => adapter.code);
+  const checkedBefore = new Date(Date.now() - POLL_INTERVAL_MINUTES * 60 * 1000);
+
+  const shipments = await Shipment.find({
+    carrier: { $in: carriers },
+    status: { $nin: Shipment.FINAL_STATUSES },
+    $or: [{ lastCheckedAt: null }, { lastCheckedAt: { $lte: checkedBefore } }]
+  }).limit(200);
+
+  for (const shipment of shipments) {
+    try {
+      const events = await getCarrier(shipment.carrier).getTracking(shipment.trackingNumber);
+      shipment.lastCheckedAt = new Date();
+      await applyTrackingEvents(shipment, events);
+      if (shipment.isModified()) await shipment.save();
+    } catch (err) {
+      console.error(`Failed to track shipment ${shipment._id}:`, err.message);
+    }
+  }
+
+  return shipments.length;
+};
+
+// Parcels for each of the given orders, oldest first, keyed by order id
+const getShipmentsByOrder = async (orderIds) => {
+  const shipments = await Shipment.find({ orderId: { $in: orderIds } }).sort({ createdAt: 1 });
+  const byOrder = new Map();
+  for (const shipment of shipments) {
+    const key = shipment.orderId.toString();
+    if (!byOrder.has(key)) byOrder.set(key, []);
+    byOrder.get(key).push(shipment);
+  }
+  return byOrder;
+};
+
+// Carriers that push updates from inside this process
+for (const adapter of Object.values(adapters)) {
+  if (typeof adapter.on !== 'function') continue;
+  adapter.on('tracking', (update) => {
+    applyCarrierUpdate(adapter.code, update).catch(err => {
+      console.error(`Failed to apply ${adapter.code} tracking update:`, err.message);
+    });
+  });
+}
+
+// Poll carriers for tracking updates every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const checked = await pollShipments();
+    if (checked > 0) console.log(`Checked tracking for ${checked} shipment(s)`);
+  } catch (error) {
+    console.error('Error polling shipments:', error);
+  }
+});
+
+module.exports = {
+  createShipment,
+  applyTrackingEvents,
+  handleCarrierWebhook,
+  pollShipments,
+  getShipmentsByOrder
+};
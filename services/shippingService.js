@@ -0,0 +1,67 @@
+const ShippingMethod = require('../models/ShippingMethod');
+const createHttpError = require('../utils/httpError');
+
+const tierRate = (tiers, value, fallback) => {
+  const tier = [...tiers]
+    .sort((a, b) => a.upTo - b.upTo)
+    .find(t => value <= t.upTo);
+  return tier ? tier.rate : fallback;
+};
+
+// Cost of one method for a cart, in minor units
+const calculateShippingCost = (method, { items, merchandiseTotal, freeShipping }) => {
+  if (method.type === 'pickup' || freeShipping) return 0;
+  if (method.freeOver !== undefined && method.freeOver !== null && merchandiseTotal >= method.freeOver) return 0;
+
+  switch (method.type) {
+    case 'weight_tiers': {
+      const weight = items.reduce((sum, item) => sum + (item.weight || 0) * item.quantity, 0);
+      return tierRate(method.tiers, weight, method.rate);
+    }
+    case 'price_tiers':
+      return tierRate(method.tiers, merchandiseTotal, method.rate);
+    case 'flat':
+    default:
+      return method.rate;
+  }
+};
+
+const shipsTo = (method, address) =>
+  method.type === 'pickup' ||
+  method.countries.length === 0 ||
+  (address?.country && method.countries.includes(address.country.toUpperCase()));
+
+// Every active method that can deliver this cart, with its cost
+const getShippingOptions = async ({ items, merchandiseTotal, address, freeShipping }) => {
+  const methods = await ShippingMethod.find({ isActive: true }).sort({ position: 1, name: 1 });
+
+  return methods
+    .filter(method => shipsTo(method, address))
+    .map(method => ({
+      methodId: method._id,
+      code: method.code,
+      name: method.name,
+      type: method.type,
+      estimatedDays: method.estimatedDays,
+      requiresAddress: method.requiresAddress,
+      amount: calculateShippingCost(method, { items, merchandiseTotal, freeShipping })
+    }));
+};
+
+// Resolve the customer's choice against the options we can offer
+const selectShippingOption = (options, { shippingMethodId, address }) => {
+  if (!shippingMethodId) return null;
+
+  const option = options.find(o => o.methodId.toString() === shippingMethodId.toString());
+  if (!option) throw createHttpError(400, 'This shipping method is not available for your address');
+  if (option.requiresAddress && !address?.country) {
+    throw createHttpError(400, 'A shipping address is required for this shipping method');
+  }
+  return option;
+};
+
+module.exports = {
+  calculateShippingCost,
+  getShippingOptions,
+  selectShippingOption
+};
@@ -0,0 +1,43 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { API_URL } = require('../mailer');
+
+// Keeps media on the server's own disk under MEDIA_ROOT. index.js serves
+// that folder at /media, so MEDIA_BASE_URL should point there.
+const ROOT = path.resolve(process.env.MEDIA_ROOT || path.join(__dirname, '..', '..', 'uploads', 'media'));
+const BASE_URL = (process.env.MEDIA_BASE_URL || `${API_URL}/media`).replace(/\/+$/, '');
+
+// Keys are generated by mediaService, but never let one reach outside ROOT
+const resolveKey = (key) => {
+  const file = path.resolve(ROOT, key);
+  if (!file.startsWith(ROOT + path.sep)) throw new Error(`Invalid media key ${key}`);
+  return file;
+};
+
+const diskStorage = {
+  name: 'local',
+  // Folder to serve statically; adapters that serve their own files leave this out
+  publicRoot: ROOT,
+
+  url: (key) => `${BASE_URL}/${key.split('/').map(encodeURIComponent).join('/')}`,
+
+  put: async (key, buffer) => {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return { key, url: diskStorage.url(key) };
+  },
+
+  remove: async (key) => {
+    const file = resolveKey(key);
+    try {
+      await fs.unlink(file);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    // Tidy up the image's folder once its last file has gone
+    await fs.rmdir(path.dirname(file)).catch(() => {});
+  }
+};
+
+module.exports = diskStorage;
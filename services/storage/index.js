@@ -0,0 +1,23 @@
+// Where uploaded media is kept, picked with MEDIA_STORAGE. Each adapter
+// provides:
+//
+//   name
+//   put(key, buffer, { contentType }) -> { key, url }
+//   remove(key)                       -> resolves once gone (missing files are fine)
+//   url(key)                          -> public URL of a stored file
+//   publicRoot                        -> optional folder for index.js to serve at /media
+//
+// Keys look like "products/<id>/<file>". An S3-compatible adapter only
+// needs to implement the same four members.
+const diskStorage = require('./diskStorage');
+
+const adapters = {
+  [diskStorage.name]: diskStorage
+};
+
+const storage = adapters[process.env.MEDIA_STORAGE || 'local'];
+if (!storage) {
+  throw new Error(`Unknown MEDIA_STORAGE "${process.env.MEDIA_STORAGE}"`);
+}
+
+module.exports = storage;
@@ -0,0 +1,4 @@
+// Shared Stripe client so every route and job uses the same configuration
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
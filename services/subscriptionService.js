@@ -0,0 +1,463 @@
+const cron = require('node-cron');
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const stripe = require('./stripe');
+const { priceCart } = require('./checkoutService');
+const { changeOrderStatus } = require('./orderService');
+const { outOfStockError, reserveStock } = require('./reservationService');
+const { handlePaymentSucceeded } = require('./paymentService');
+const { resolveAddress } = require('./addressService');
+const { CLIENT_URL, escapeHtml, sendMail } = require('./mailer');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money');
+const createHttpError = require('../utils/httpError');
+
+const DISCOUNT_PERCENT = parseInt(process.env.SUBSCRIPTION_DISCOUNT_PERCENT) || 10;
+// Reminder email this many days before each renewal
+const REMINDER_DAYS = parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS) || 3;
+// Failed renewals in a row before the subscription is paused
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.SUBSCRIPTION_MAX_FAILED_ATTEMPTS) || 3;
+// "local" marks renewals paid without calling Stripe. Development only:
+// those orders have no real payment to refund.
+const PAYMENT_PROVIDER = process.env.SUBSCRIPTION_PAYMENT_PROVIDER === 'local' ? 'local' : 'stripe';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const RETRY_AFTER = DAY;
+
+const formatPrice = (amount) => `$${fromMinorUnits(amount).toFixed(2)}`;
+
+// Next renewal after `from`, keeping to the schedule where possible. A date
+// that is still in the past (e.g. after a long outage) restarts from now.
+const nextRenewalAfter = (from, intervalWeeks, now = new Date()) => {
+  const next = new Date(from.getTime() + intervalWeeks * WEEK);
+  return next > now ? next : new Date(now.getTime() + intervalWeeks * WEEK);
+};
+
+const ensureStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user._id.toString() }
+  }, {
+    idempotencyKey: `customer-${user._id}`
+  });
+
+  user.stripeCustomerId = customer.id;
+  await user.save();
+  return customer.id;
+};
+
+// Start saving a card for off-session renewals. The client confirms the
+// SetupIntent and subscribes with the resulting PaymentMethod id.
+const createSetupIntent = async (user) => {
+  if (PAYMENT_PROVIDER === 'local') return { provider: PAYMENT_PROVIDER, clientSecret: null };
+
+  const setupIntent = await stripe.setupIntents.create({
+    customer: await ensureStripeCustomer(user),
+    usage: 'off_session',
+    automatic_payment_methods: { enabled: true },
+    metadata: { userId: user._id.toString() }
+  });
+  return { provider: PAYMENT_PROVIDER, clientSecret: setupIntent.client_secret };
+};
+
+const assertOwnPaymentMethod = async (user, paymentMethodId) => {
+  if (PAYMENT_PROVIDER === 'local') return;
+
+  if (!paymentMethodId) throw createHttpError(400, 'A saved payment method is required');
+
+  let paymentMethod;
+  try {
+    paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (err) {
+    if (err.type === 'StripeInvalidRequestError') throw createHttpError(400, 'Payment method not found');
+    throw err;
+  }
+
+  if (!user.stripeCustomerId || paymentMethod.customer !== user.stripeCustomerId) {
+    throw createHttpError(400, 'This payment method is not saved to your account');
+  }
+};
+
+const quoteRenewal = (subscription, user) => priceCart([{
+  productId: subscription.productId,
+  variantId: subscription.variantId,
+  quantity: subscription.quantity
+}], {
+  userId: user._id,
+  email: user.email,
+  shippingAddress: subscription.shippingAddress,
+  shippingMethodId: subscription.shippingMethodId,
+  subscriptionPercent: subscription.discountPercent
+});
+
+// Charge the saved card with the customer away. A charge that succeeds
+// straight away is settled here; the webhook for it then finds the order
+// already paid. Anything still processing is left to the webhook.
+const chargeRenewal = async (order, subscription, user) => {
+  let paymentIntent;
+
+  if (PAYMENT_PROVIDER === 'local') {
+    paymentIntent = {
+      id: `pi_local_${order._id}`,
+      status: 'succeeded',
+      amount_received: order.total,
+      currency: order.currency,
+      metadata: { orderId: order._id.toString() }
+    };
+  } else {
+    paymentIntent = await stripe.paymentIntents.create({
+      amount: order.total,
+      currency: order.currency,
+      customer: user.stripeCustomerId,
+      payment_method: subscription.paymentMethodId,
+      off_session: true,
+      confirm: true,
+      receipt_email: order.email,
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        userId: user._id.toString(),
+        subscriptionId: subscription._id.toString()
+      }
+    }, {
+      idempotencyKey: `renewal-${order._id}` // Prevent duplicate charges
+    });
+  }
+
+  order.paymentIntentId = paymentIntent.id;
+  await order.save();
+
+  if (paymentIntent.status === 'succeeded') {
+    await handlePaymentSucceeded(paymentIntent);
+  } else if (paymentIntent.status !== 'processing') {
+    throw createHttpError(402, 'Your bank asked for the payment to be confirmed');
+  }
+};
+
+// Create the order for one delivery, hold its stock and charge for it.
+// The order is cancelled again (giving the stock back) when that fails.
+const placeRenewalOrder = async (subscription) => {
+  const user = await User.findById(subscription.userId);
+  if (!user) throw createHttpError(404, 'User not found');
+
+  const quote = await quoteRenewal(subscription, user);
+  if (quote.stockIssues.length > 0) {
+    throw outOfStockError(quote.stockIssues);
+  }
+  if (!quote.shipping && quote.shippingOptions.length > 0) {
+    throw createHttpError(400, 'The shipping method for this subscription is no longer available');
+  }
+
+  const order = new Order({
+    userId: user._id,
+    subscriptionId: subscription._id,
+    email: user.email,
+    items: quote.items,
+    discounts: quote.discounts,
+    shippingAddress: quote.shipping && quote.shipping.requiresAddress ? subscription.shippingAddress : undefined,
+    billingAddress: subscription.shippingAddress,
+    shipping: quote.shipping || undefined,
+    taxLines: quote.taxLines,
+    currency: quote.currency,
+    statusHistory: [{ to: 'pending_payment', actorType: 'system', note: 'Subscription renewal' }]
+  });
+  await order.save();
+
+  try {
+    await reserveStock(order);
+  } catch (err) {
+    order.transitionTo('cancelled', { note: 'Not enough stock to reserve' });
+    await order.save();
+    throw err;
+  }
+
+  try {
+    await chargeRenewal(order, subscription, user);
+  } catch (err) {
+    const current = await Order.findById(order._id);
+    if (current.status === 'pending_payment') {
+      await changeOrderStatus(current, 'cancelled', { note: `Subscription payment failed: ${err.message}` });
+    }
+    throw err;
+  }
+
+  return Order.findById(order._id);
+};
+
+// Subscribe to a product. The first delivery is ordered and charged right
+// away; if that fails nothing is kept.
+const createSubscription = async (user, {
+  productId,
+  variantId,
+  quantity = 1,
+  intervalWeeks,
+  paymentMethodId,
+  addressId,
+  shippingAddress,
+  shippingMethodId
+}) => {
+  if (!productId) throw createHttpError(400, 'Product ID required');
+  if (!Subscription.INTERVALS.includes(Number(intervalWeeks))) {
+    throw createHttpError(400, `Delivery interval must be one of: ${Subscription.INTERVALS.join(', ')} weeks`);
+  }
+
+  await assertOwnPaymentMethod(user, paymentMethodId);
+
+  const subscription = new Subscription({
+    userId: user._id,
+    productId,
+    variantId,
+    quantity: parseInt(quantity) || 1,
+    intervalWeeks: Number(intervalWeeks),
+    discountPercent: DISCOUNT_PERCENT,
+    nextRenewalAt: new Date(),
+    shippingAddress: resolveAddress(user, { addressId, address: shippingAddress, type: 'shipping' }),
+    shippingMethodId,
+    paymentMethodId
+  });
+  await subscription.validate();
+
+  // Checks the product, option and shipping method before anything is saved
+  const quote = await quoteRenewal(subscription, user);
+  if (!quote.shipping && quote.shippingOptions.length > 0) {
+    throw createHttpError(400, 'Please choose a shipping method');
+  }
+
+  await subscription.save();
+
+  let order;
+  try {
+    order = await placeRenewalOrder(subscription);
+  } catch (err) {
+    await subscription.deleteOne();
+    throw err;
+  }
+
+  subscription.lastOrderId = order._id;
+  subscription.renewalCount = 1;
+  subscription.nextRenewalAt = nextRenewalAfter(subscription.nextRenewalAt, subscription.intervalWeeks);
+  await subscription.save();
+
+  return { subscription, order };
+};
+
+const sendSubscriptionEmail = (user, { subject, body }) => sendMail({
+  to: user.email,
+  subject,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #333;">Hi ${escapeHtml(user.name)},</h2>
+      ${body}
+      <p><a href="${CLIENT_URL}/account/subscriptions">Manage your subscriptions</a></p>
+    </div>
+  `
+});
+
+// A renewal went wrong: try again tomorrow, or pause the subscription once
+// it has failed too many times in a row
+const recordFailedRenewal = async (subscription, err) => {
+  const failedAttempts = subscription.failedAttempts + 1;
+  const paused = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+  await Subscription.updateOne({ _id: subscription._id }, {
+    failedAttempts,
+    lastError: err.message,
+    nextRenewalAt: new Date(Date.now() + RETRY_AFTER),
+    ...(paused ? { status: 'paused', pausedAt: new Date() } : {})
+  });
+
+  const user = await User.findById(subscription.userId).select('name email');
+  if (!user) return;
+
+  const product = await Product.findById(subscription.productId).select('name');
+  const productName = escapeHtml(product ? product.name : 'your subscription');
+
+  try {
+    await sendSubscriptionEmail(user, paused ? {
+      subject: 'Your subscription has been paused',
+      body: `<p>We could not renew your ${productName} subscription after ${failedAttempts} attempts (${escapeHtml(err.message)}), so we have paused it.</p>
+      <p>Check your payment details and resume it whenever you are ready.</p>`
+    } : {
+      subject: 'We could not renew your subscription',
+      body: `<p>Your ${productName} renewal did not go through: ${escapeHtml(err.message)}.</p>
+      <p>We will try again tomorrow.</p>`
+    });
+  } catch (mailErr) {
+    console.error(`Failed to send subscription failure email for ${subscription._id}:`, mailErr.message);
+  }
+};
+
+// Renew one subscription that has come due. The renewal date is moved on
+// first, so an overlapping run cannot order the same delivery twice.
+const renewSubscription = async (subscription) => {
+  const claimed = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: 'active', nextRenewalAt: subscription.nextRenewalAt },
+    { nextRenewalAt: nextRenewalAfter(subscription.nextRenewalAt, subscription.intervalWeeks) },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  try {
+    const order = await placeRenewalOrder(claimed);
+    await Subscription.updateOne({ _id: claimed._id }, {
+      lastOrderId: order._id,
+      failedAttempts: 0,
+      $unset: { lastError: 1 },
+      $inc: { renewalCount: 1 }
+    });
+    return order;
+  } catch (err) {
+    console.error(`Subscription ${claimed._id} renewal failed:`, err.message);
+    await recordFailedRenewal(claimed, err);
+    return null;
+  }
+};
+
+const renewDueSubscriptions = async (now = new Date()) => {
+  const due = await Subscription.find({ status: 'active', nextRenewalAt: { $lte: now } });
+
+  let renewed = 0;
+  for (const subscription of due) {
+    if (await renewSubscription(subscription)) renewed++;
+  }
+  return renewed;
+};
+
+// Tell customers a few days ahead what is about to be charged, with time
+// to skip or pause. Sent once per renewal date.
+const sendRenewalReminders = async (now = new Date()) => {
+  const due = await Subscription.find({
+    status: 'active',
+    nextRenewalAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS * DAY) },
+    $expr: { $ne: ['$reminderSentFor', '$nextRenewalAt'] }
+  });
+
+  let sent = 0;
+  for (const subscription of due) {
+    const claimed = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, nextRenewalAt: subscription.nextRenewalAt, reminderSentFor: { $ne: subscription.nextRenewalAt } },
+      { reminderSentFor: subscription.nextRenewalAt }
+    );
+    if (!claimed) continue;
+
+    const [user, product] = await Promise.all([
+      User.findById(subscription.userId).select('name email'),
+      Product.findById(subscription.productId).select('name price variants')
+    ]);
+    if (!user || !product) continue;
+
+    const variant = subscription.variantId ? product.variants.id(subscription.variantId) : null;
+    const itemsTotal = toMinorUnits(product.priceFor(variant)) * subscription.quantity;
+    const discounted = itemsTotal - Math.round(itemsTotal * subscription.discountPercent / 100);
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+
+    try {
+      await sendSubscriptionEmail(user, {
+        subject: `Your ${product.name} renews on ${subscription.nextRenewalAt.toLocaleDateString()}`,
+        body: `<p>Your next delivery of ${subscription.quantity} x ${escapeHtml(name)} will be ordered on
+      ${subscription.nextRenewalAt.toLocaleDateString()} for ${formatPrice(discounted)} plus shipping and tax,
+      charged to your saved card.</p>
+      <p>Need a change? You can skip this delivery, pause or cancel before then.</p>`
+      });
+      sent++;
+    } catch (err) {
+      console.error(`Failed to send renewal reminder for ${subscription._id}:`, err.message);
+    }
+  }
+
+  return sent;
+};
+
+const findOwnSubscription = async (userId, subscriptionId) => {
+  const subscription = await Subscription.findOne({ _id: subscriptionId, userId });
+  if (!subscription) throw createHttpError(404, 'Subscription not found');
+  return subscription;
+};
+
+// Leave out the next delivery; the one after goes ahead as usual
+const skipNextRenewal = async (userId, subscriptionId) => {
+  const subscription = await findOwnSubscription(userId, subscriptionId);
+  if (subscription.status !== 'active') {
+    throw createHttpError(409, `This subscription is ${subscription.status}`);
+  }
+
+  subscription.nextRenewalAt = nextRenewalAfter(subscription.nextRenewalAt, subscription.intervalWeeks);
+  await subscription.save();
+  return subscription;
+};
+
+const pauseSubscription = async (userId, subscriptionId) => {
+  const subscription = await findOwnSubscription(userId, subscriptionId);
+  if (subscription.status !== 'active') {
+    throw createHttpError(409, `This subscription is ${subscription.status}`);
+  }
+
+  subscription.status = 'paused';
+  subscription.pausedAt = new Date();
+  await subscription.save();
+  return subscription;
+};
+
+// Resuming after the renewal date has passed orders at the next run. A new
+// card can be given at the same time, e.g. after failed payments.
+const resumeSubscription = async (user, subscriptionId, { paymentMethodId } = {}) => {
+  const subscription = await findOwnSubscription(user._id, subscriptionId);
+  if (subscription.status !== 'paused') {
+    throw createHttpError(409, `This subscription is ${subscription.status}`);
+  }
+
+  if (paymentMethodId) {
+    await assertOwnPaymentMethod(user, paymentMethodId);
+    subscription.paymentMethodId = paymentMethodId;
+  }
+
+  subscription.status = 'active';
+  subscription.pausedAt = undefined;
+  subscription.failedAttempts = 0;
+  if (subscription.nextRenewalAt < new Date()) subscription.nextRenewalAt = new Date();
+  await subscription.save();
+  return subscription;
+};
+
+const cancelSubscription = async (userId, subscriptionId) => {
+  const subscription = await findOwnSubscription(userId, subscriptionId);
+  if (subscription.status === 'cancelled') {
+    throw createHttpError(409, 'This subscription is already cancelled');
+  }
+
+  subscription.status = 'cancelled';
+  subscription.cancelledAt = new Date();
+  await subscription.save();
+  return subscription;
+};
+
+// Reminders and renewals every hour
+cron.schedule('0 * * * *', async () => {
+  try {
+    const reminded = await sendRenewalReminders();
+    if (reminded > 0) console.log(`Sent ${reminded} subscription reminder(s)`);
+
+    const renewed = await renewDueSubscriptions();
+    if (renewed > 0) console.log(`Renewed ${renewed} subscription(s)`);
+  } catch (error) {
+    console.error('Error processing subscriptions:', error);
+  }
+});
+
+module.exports = {
+  DISCOUNT_PERCENT,
+  createSetupIntent,
+  createSubscription,
+  renewDueSubscriptions,
+  sendRenewalReminders,
+  skipNextRenewal,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+};
@@ -0,0 +1,39 @@
+const TaxRule = require('../models/TaxRule');
+
+// In-salon pickups are taxed where the salon is
+const STORE_ADDRESS = {
+  country: process.env.STORE_COUNTRY,
+  region: process.env.STORE_REGION
+};
+
+// Rules for the address: region rules win over country-wide ones
+const findTaxRules = async (address) => {
+  if (!address?.country) return [];
+
+  const rules = await TaxRule.find({ isActive: true, country: address.country.toUpperCase() });
+  const regionRules = address.region
+    ? rules.filter(rule => rule.region === address.region.toUpperCase())
+    : [];
+
+  return regionRules.length > 0 ? regionRules : rules.filter(rule => !rule.region);
+};
+
+// Tax lines in minor units for the discounted goods plus shipping
+const calculateTax = async ({ address, merchandiseTotal, shippingTotal }) => {
+  const rules = await findTaxRules(address);
+
+  return rules.map(rule => {
+    const base = merchandiseTotal + (rule.appliesToShipping ? shippingTotal : 0);
+    return {
+      taxRuleId: rule._id,
+      name: rule.name,
+      rate: rule.rate,
+      amount: Math.round(base * rule.rate / 100)
+    };
+  });
+};
+
+module.exports = {
+  STORE_ADDRESS,
+  calculateTax
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const createHttpError = require('../utils/httpError');
+const { isSameCartLine, parseQuantity } = require('../utils/cart');
+
+// Every customer has a wishlist; it is created the first time it is needed
+const getWishlist = (userId) => Wishlist.findOneAndUpdate(
+  { userId },
+  { $setOnInsert: { userId } },
+  { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+// Add a product once. Counts and the 'liked' interaction are only recorded
+// when the product was not already on the list.
+const addToWishlist = async (userId, productId, note) => {
+  const product = await Product.findById(productId).select('isActive');
+  if (!product || !product.isActive) throw createHttpError(404, 'Product not found');
+
+  await getWishlist(userId);
+  const result = await Wishlist.updateOne(
+    { userId, 'items.productId': { $ne: product._id } },
+    { $push: { items: { productId: product._id, note } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await Product.updateOne({ _id: product._id }, { $inc: { wishlistCount: 1 } });
+    await User.updateOne(
+      { _id: userId },
+      { $push: { interactionHistory: { productId: product._id, actionType: 'liked' } } }
+    );
+  }
+
+  return getWishlist(userId);
+};
+
+const removeFromWishlist = async (userId, productId) => {
+  const result = await Wishlist.updateOne(
+    { userId, 'items.productId': productId },
+    { $pull: { items: { productId } } }
+  );
+
+  if (result.modifiedCount > 0) {
+    await Product.updateOne({ _id: productId, wishlistCount: { $gt: 0 } }, { $inc: { wishlistCount: -1 } });
+  }
+
+  return getWishlist(userId);
+};
+
+// Put a wished-for product in the cart and take it off the wishlist.
+// Products with variants need the variant the customer picked.
+const moveToCart = async (userId, productId, { variantId, quantity = 1 } = {}) => {
+  const user = await User.findById(userId);
+  if (!user) throw createHttpError(404, 'User not found');
+
+  const wishlist = await getWishlist(userId);
+  if (!wishlist.items.some(item => item.productId.toString() === productId.toString())) {
+    throw createHttpError(404, 'This product is not on your wishlist');
+  }
+
+  const count = parseQuantity(quantity);
+  if (!count) throw createHttpError(400, 'Quantity must be a whole number of at least 1');
+
+  const product = await Product.findById(productId).select('isActive name variants');
+  if (!product || !product.isActive) {
+    throw createHttpError(400, 'This product is no longer available');
+  }
+  if (product.hasVariants && !product.variants.id(variantId)) {
+    throw createHttpError(400, `Please choose an option for ${product.name}`);
+  }
+
+  const cartItem = user.cart.find(item => isSameCartLine(item, productId, variantId));
+  if (cartItem) {
+    cartItem.quantity += count;
+  } else {
+    user.cart.push({ productId: product._id, variantId, quantity: count });
+  }
+  await user.save();
+
+  return { cart: user.cart, wishlist: await removeFromWishlist(userId, product._id) };
+};
+
+const enableSharing = async (userId) => {
+  const wishlist = await getWishlist(userId);
+  if (!wishlist.shareToken) wishlist.shareToken = crypto.randomBytes(16).toString('hex');
+  wishlist.isPublic = true;
+  await wishlist.save();
+  return wishlist;
+};
+
+// Turning sharing off also drops the token, so old links stop working
+// even if sharing is switched back on later
+const disableSharing = async (userId) => {
+  const wishlist = await getWishlist(userId);
+  wishlist.isPublic = false;
+  wishlist.shareToken = undefined;
+  await wishlist.save();
+  return wishlist;
+};
+
+const getSharedWishlist = async (shareToken) => {
+  const wishlist = await Wishlist.findOne({ shareToken, isPublic: true })
+    .populate('userId', 'name')
+    .populate('items.productId', 'name price productImage slug stock isActive');
+  if (!wishlist) throw createHttpError(404, 'Wishlist not found');
+  return wishlist;
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart,
+  enableSharing,
+  disableSharing,
+  getSharedWishlist
+};
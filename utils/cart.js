@@ -0,0 +1,18 @@
+// Cart lines are one product, or one variant of a product
+
+const isSameCartLine = (item, productId, variantId) =>
+  item.productId.toString() === String(productId) &&
+  String(item.variantId || '') === String(variantId || '');
+
+// Removing without a variant id removes every variant of the product
+const withoutCartLine = (cart, productId, variantId) => cart.filter(item =>
+  variantId ? !isSameCartLine(item, productId, variantId) : item.productId.toString() !== String(productId)
+);
+
+// Quantities are whole numbers of at least 1; anything else gives null
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+module.exports = { isSameCartLine, withoutCartLine, parseQuantity };
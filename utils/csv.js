@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, fields quoted
+// with " when they hold commas, quotes or line breaks, "" for a quote
+// inside a quoted field.
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Rows of string cells. Line numbers are kept so errors can point at the
+// right line even when quoted fields span several. Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel's byte order mark
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, cells: row });
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unclosed quote in the row starting on line ${rowLine}`);
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Text cells that look like formulas get a leading ' so spreadsheet apps
+// show them as text; readCell takes it off again on import
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+const readCell = (value) => {
+  const text = String(value ?? '').trim();
+  return text.startsWith('\'') && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+};
+
+module.exports = { parseCsv, toCsvRow, readCell };
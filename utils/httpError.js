@@ -0,0 +1,11 @@
+// Small helper for errors thrown from services that routes turn into
+// responses via `res.status(err.status || 500)`.
+
+const createHttpError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = createHttpError;
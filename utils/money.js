@@ -0,0 +1,8 @@
+// Helpers for converting between display prices (e.g. 19.99) and the integer
+// minor units (cents) that orders and Stripe work with.
+
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+const fromMinorUnits = (amount) => (amount || 0) / 100;
+
+module.exports = { toMinorUnits, fromMinorUnits };
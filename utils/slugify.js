@@ -0,0 +1,7 @@
+// e.g. "Argan Oil Shampoo 250ml" -> "argan-oil-shampoo-250ml"
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;